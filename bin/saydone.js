@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * saydone - parse and manage tasks from a terminal.
+ *
+ * Works on a JSON task file with the same shape as the web app's
+ * `saydone-tasks` storage, so the two can share tasks through
+ * Settings → Task file.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import parseTasks from '../src/utils/taskParser.js';
+import { DEFAULT_CATEGORIES } from '../src/utils/categories.js';
+import { confirmFields } from '../src/utils/confidence.js';
+import { parseISODate, toISODate } from '../src/utils/dateUtils.js';
+import { findTask } from '../src/utils/intents.js';
+import { formatEstimate } from '../src/utils/estimates.js';
+import { formatTaskDates, getDateStatus, withDates } from '../src/utils/taskDates.js';
+import { parseTaskFile, serializeTasks, toggleTaskComplete } from '../src/utils/taskList.js';
+
+const DEFAULT_FILE = 'saydone-tasks.json';
+
+const USAGE = `Usage: saydone <command> [options]
+
+Commands:
+  parse <text>          Print the tasks parsed from <text> as JSON
+  add <text>            Parse <text> and add the tasks to the task file
+  list                  List open tasks (--all to include done ones, --json for JSON)
+  done <task>           Mark a task as done
+  edit <task>           Change a task (see edit options)
+
+<task> is a task id, the last few characters of one, or words from its description.
+
+Options:
+  --file <path>         Task file (default: $SAYDONE_FILE or ./${DEFAULT_FILE})
+  --now <date>          Reference time for parsing, e.g. 2026-10-18T09:00
+  --locale <tag>        Language of the text, e.g. en-GB, de-DE
+  --time-zone <zone>    IANA time zone relative dates resolve in
+  --date-order <order>  DMY or MDY for dates like 05/06
+  --week-start <day>    First day of the week, 0 (Sunday) to 6
+
+Edit options ("none" clears a date or time):
+  --text <description>  --on <YYYY-MM-DD>  --by <YYYY-MM-DD>  --at <HH:MM>
+  --priority <High|Medium|Low>  --category <name>  --tags "<tag> <tag>"`;
+
+const OPTIONS = {
+    file: { type: 'string' },
+    now: { type: 'string' },
+    locale: { type: 'string' },
+    'time-zone': { type: 'string' },
+    'date-order': { type: 'string' },
+    'week-start': { type: 'string' },
+    all: { type: 'boolean' },
+    json: { type: 'boolean' },
+    text: { type: 'string' },
+    on: { type: 'string' },
+    by: { type: 'string' },
+    at: { type: 'string' },
+    priority: { type: 'string' },
+    category: { type: 'string' },
+    tags: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parser options from the command line
+ */
+const parserOptions = (values) => {
+    if (values.now !== undefined && isNaN(new Date(values.now).getTime())) {
+        throw new Error('--now needs a date or time like 2026-10-18T09:00.');
+    }
+    return {
+        now: values.now,
+        locale: values.locale,
+        timeZone: values['time-zone'],
+        dateOrder: values['date-order'] && values['date-order'].toUpperCase(),
+        weekStart: values['week-start'] !== undefined ? parseInt(values['week-start']) : undefined
+    };
+};
+
+const loadTasks = async (file) => {
+    try {
+        return parseTaskFile(await readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw new Error(`Couldn't read ${file}: ${err.message}`);
+    }
+};
+
+const saveTasks = (file, tasks) => writeFile(file, `${serializeTasks(tasks)}\n`);
+
+// Ids end in a random suffix; its last six characters are enough to tell tasks apart
+const shortId = (task) => String(task.id).slice(-6);
+
+/**
+ * The task `ref` names: a full id, the end of one, or words from its description
+ */
+const resolveTask = (tasks, ref) => {
+    if (!ref) throw new Error('Say which task, by id or by words from its description.');
+    const byId = tasks.find(task => String(task.id) === ref)
+        || (ref.length >= 4 && tasks.find(task => String(task.id).endsWith(ref)));
+    const task = byId || findTask(ref, tasks);
+    if (!task) throw new Error(`No task matches "${ref}".`);
+    return task;
+};
+
+/**
+ * One line per task: id, tick, description, then its details
+ */
+const formatTask = (task) => {
+    const status = getDateStatus(task);
+    const details = [
+        formatTaskDates(task),
+        task.dueTime && `at ${task.dueTime}`,
+        status,
+        task.urgency,
+        task.category,
+        task.estimate && formatEstimate(task.estimate),
+        ...(task.tags || []).map(tag => `#${tag}`)
+    ].filter(Boolean);
+    return `${shortId(task)}  ${task.completed ? '✓' : '○'} ${task.description}  (${details.join(', ')})`;
+};
+
+/**
+ * Category names a task can take: the app's defaults plus any the task file
+ * already uses (custom categories live in the app, not in the file)
+ */
+const knownCategories = (tasks) => [...new Set([
+    ...DEFAULT_CATEGORIES.map(category => category.name),
+    ...tasks.map(task => task.category).filter(Boolean)
+])];
+
+/**
+ * Changes from the edit options; the fields set by hand count as checked
+ */
+const editChanges = (task, values, categories) => {
+    const changes = {};
+    const dateOption = (name, current) => {
+        const value = values[name];
+        if (value === undefined) return current;
+        if (value === 'none') return null;
+        // parseISODate rolls 2026-02-31 over into March, so the date must read back the same
+        const date = parseISODate(value);
+        if (!date || toISODate(date) !== value) throw new Error(`--${name} needs a date like 2026-11-05 (or "none").`);
+        return value;
+    };
+
+    if (values.text !== undefined) {
+        if (!values.text.trim()) throw new Error('--text can\'t be empty.');
+        changes.description = values.text.trim();
+    }
+    if (values.on !== undefined || values.by !== undefined) {
+        Object.assign(changes, withDates(dateOption('on', task.scheduledDate), dateOption('by', task.deadline)));
+    }
+    if (values.at !== undefined) {
+        const match = values.at.match(TIME);
+        if (values.at !== 'none' && !match) throw new Error('--at needs a time like 14:30 (or "none").');
+        changes.dueTime = match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+    }
+    if (values.priority !== undefined) {
+        const level = ['High', 'Medium', 'Low'].find(name => name.toLowerCase() === values.priority.toLowerCase());
+        if (!level) throw new Error('--priority must be High, Medium or Low.');
+        changes.urgency = level;
+    }
+    if (values.category !== undefined) {
+        const category = categories.find(name => name.toLowerCase() === values.category.toLowerCase());
+        if (!category) throw new Error(`--category must be one of ${categories.join(', ')}.`);
+        changes.category = category;
+    }
+    if (values.tags !== undefined) {
+        changes.tags = [...new Set(values.tags.split(/[\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean))];
+    }
+    if (Object.keys(changes).length === 0) throw new Error('Nothing to change. See saydone --help for the edit options.');
+
+    const checked = ['description', 'dueDate', 'category', 'urgency'].filter(field => field in changes);
+    return task.confidence && checked.length > 0 ? { ...changes, ...confirmFields(task, checked) } : changes;
+};
+
+const main = async (argv) => {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    const text = rest.join(' ');
+    const file = values.file || process.env.SAYDONE_FILE || DEFAULT_FILE;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command === 'parse') {
+        if (!text.trim()) throw new Error('Give some text to parse.');
+        console.log(JSON.stringify(parseTasks(text, parserOptions(values)), null, 2));
+        return;
+    }
+
+    const tasks = await loadTasks(file);
+
+    if (command === 'add') {
+        if (!text.trim()) throw new Error('Give some text to add.');
+        const added = parseTasks(text, parserOptions(values));
+        await saveTasks(file, [...added, ...tasks]);
+        added.forEach(task => console.log(`Added ${formatTask(task)}`));
+        return;
+    }
+
+    if (command === 'list') {
+        const shown = values.all ? tasks : tasks.filter(task => !task.completed);
+        if (values.json) console.log(serializeTasks(shown));
+        else if (shown.length === 0) console.log('No tasks.');
+        else shown.forEach(task => console.log(formatTask(task)));
+        return;
+    }
+
+    if (command === 'done') {
+        const task = resolveTask(tasks, text);
+        if (task.completed) {
+            console.log(`Already done: ${formatTask(task)}`);
+            return;
+        }
+        const updated = toggleTaskComplete(tasks, task.id);
+        await saveTasks(file, updated);
+        console.log(`Done ${formatTask(updated.find(t => t.id === task.id))}`);
+        if (updated.length > tasks.length) console.log(`Next ${formatTask(updated[0])}`);
+        return;
+    }
+
+    if (command === 'edit') {
+        const task = resolveTask(tasks, text);
+        const changes = editChanges(task, values, knownCategories(tasks));
+        const edited = { ...task, ...changes };
+        await saveTasks(file, tasks.map(t => t.id === task.id ? edited : t));
+        console.log(`Edited ${formatTask(edited)}`);
+        return;
+    }
+
+    throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+};
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`saydone: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,164 @@
+/**
+ * evaluate.js
+ *
+ * Scores a parser against a labeled corpus of utterances (see corpus.json)
+ * and compares two runs field by field.
+ *
+ * Corpus: { reference, utterances: [{ id, text, options?, expected: [task] }] }
+ * where each expected task is { description, dueDate, category, urgency } and
+ * dueDate is days after the reference day (0 = that day) or null for none.
+ * A field left out of an expected task isn't scored. Descriptions are labeled
+ * the way the parser writes them: articles and filler dropped, synonyms
+ * normalized ("mom" -> "mother").
+ */
+import { descriptionSimilarity } from '../src/utils/duplicates.js';
+import { parseISODate, toISODate } from '../src/utils/dateUtils.js';
+
+export const EVALUATED_FIELDS = ['description', 'dueDate', 'category', 'urgency'];
+
+// Word overlap below which a parsed task isn't paired with an expected one
+const PAIR_THRESHOLD = 0.3;
+
+/**
+ * Check the corpus shape so a typo fails loudly instead of scoring as a miss
+ */
+export const validateCorpus = (corpus) => {
+    if (!corpus || typeof corpus !== 'object') throw new Error('Corpus must be a JSON object.');
+    if (!parseISODate(String(corpus.reference || '').slice(0, 10))) {
+        throw new Error('Corpus needs a "reference" date, e.g. "2026-01-07T09:00".');
+    }
+    if (!Array.isArray(corpus.utterances)) throw new Error('Corpus needs an "utterances" list.');
+
+    const ids = new Set();
+    corpus.utterances.forEach((utterance, index) => {
+        const label = `Utterance #${index + 1}`;
+        if (!utterance.id || !utterance.text) throw new Error(`${label} needs an id and a text.`);
+        if (ids.has(utterance.id)) throw new Error(`${label}: id "${utterance.id}" is used twice.`);
+        ids.add(utterance.id);
+        if (!Array.isArray(utterance.expected)) throw new Error(`${label} needs an "expected" list of tasks.`);
+        utterance.expected.forEach((task, at) => {
+            if (task.dueDate !== undefined && task.dueDate !== null && !Number.isInteger(task.dueDate)) {
+                throw new Error(`${label}, task ${at + 1}: dueDate must be a whole number of days or null.`);
+            }
+        });
+    });
+    return corpus;
+};
+
+/**
+ * The ISO date `days` after the reference day
+ */
+const dateFromReference = (reference, days) => {
+    if (days === null) return null;
+    const date = parseISODate(reference.slice(0, 10));
+    date.setDate(date.getDate() + days);
+    return toISODate(date);
+};
+
+const normalizeDescription = (text) => String(text || '').toLowerCase().replace(/[.,!?]+$/, '').replace(/\s+/g, ' ').trim();
+
+const sameValue = (field, expected, actual) => (field === 'description'
+    ? normalizeDescription(expected) === normalizeDescription(actual)
+    : expected === (actual ?? null));
+
+/**
+ * Pair each expected task with the parsed task closest to it in wording,
+ * taking the best-matching pairs first. Returns actual index per expected task.
+ */
+const pairTasks = (expected, actual) => {
+    const candidates = [];
+    expected.forEach((task, e) => actual.forEach((parsed, a) => {
+        const score = task.description === undefined ? 1 : descriptionSimilarity(task.description, parsed.description);
+        // Prefer pairs in the same position when wording ties
+        if (score >= PAIR_THRESHOLD) candidates.push({ e, a, score: score - Math.abs(e - a) * 0.001 });
+    }));
+    candidates.sort((x, y) => y.score - x.score);
+
+    const pairs = expected.map(() => null);
+    const used = new Set();
+    candidates.forEach(({ e, a }) => {
+        if (pairs[e] !== null || used.has(a)) return;
+        pairs[e] = a;
+        used.add(a);
+    });
+    return pairs;
+};
+
+/**
+ * Run `parse` over the corpus. Returns { results, extra } where each result is
+ * one scored field: { key, id, text, task, field, expected, actual, correct }
+ * and `extra` counts parsed tasks no expected task claimed.
+ */
+export const runCorpus = (parse, corpus) => {
+    const results = [];
+    let extra = 0;
+
+    corpus.utterances.forEach(utterance => {
+        const actual = parse(utterance.text, { ...corpus.options, ...utterance.options, now: corpus.reference });
+        const expected = utterance.expected.map(task => ({
+            ...task,
+            ...(task.dueDate !== undefined ? { dueDate: dateFromReference(corpus.reference, task.dueDate) } : {})
+        }));
+        const pairs = pairTasks(expected, actual);
+        extra += actual.length - pairs.filter(a => a !== null).length;
+
+        expected.forEach((task, index) => {
+            const parsed = pairs[index] !== null ? actual[pairs[index]] : null;
+            EVALUATED_FIELDS.filter(field => task[field] !== undefined).forEach(field => {
+                const value = parsed ? parsed[field] ?? null : undefined;
+                results.push({
+                    key: `${utterance.id}#${index + 1}.${field}`,
+                    id: utterance.id,
+                    text: utterance.text,
+                    task: index + 1,
+                    field,
+                    expected: task[field],
+                    actual: value,
+                    correct: parsed !== null && sameValue(field, task[field], value)
+                });
+            });
+        });
+    });
+
+    return { results, extra };
+};
+
+/**
+ * Per field: accuracy = right / labeled, precision = right / answered, where
+ * "answered" leaves out missing tasks and, for dates, tasks given no date
+ */
+export const summarize = ({ results, extra }) => {
+    const fields = Object.fromEntries(EVALUATED_FIELDS.map(field => {
+        const scored = results.filter(result => result.field === field);
+        const answered = scored.filter(result => result.actual !== undefined && result.actual !== null);
+        const correct = scored.filter(result => result.correct).length;
+        const correctAnswered = answered.filter(result => result.correct).length;
+        return [field, {
+            labeled: scored.length,
+            answered: answered.length,
+            correct,
+            accuracy: scored.length > 0 ? correct / scored.length : null,
+            precision: answered.length > 0 ? correctAnswered / answered.length : null
+        }];
+    }));
+
+    const tasks = new Set(results.map(result => `${result.id}#${result.task}`));
+    const missing = new Set(results.filter(result => result.actual === undefined).map(result => `${result.id}#${result.task}`));
+    return { fields, tasks: { expected: tasks.size, missing: missing.size, extra } };
+};
+
+/**
+ * Fields that were right in `baseline` and are wrong now (regressions), and
+ * the other way round (fixes). Fields only one run scored are ignored.
+ */
+export const compareRuns = (baseline, current) => {
+    const before = new Map(baseline.map(result => [result.key, result]));
+    const regressions = [];
+    const fixes = [];
+    current.forEach(result => {
+        const previous = before.get(result.key);
+        if (!previous || previous.correct === result.correct) return;
+        (result.correct ? fixes : regressions).push({ ...result, before: previous.actual });
+    });
+    return { regressions, fixes };
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Measure parser accuracy on the labeled corpus, and what changed since a
+ * baseline run.
+ *
+ *   npm run eval                                  scores per field
+ *   npm run eval -- --save before.json            keep this run as a baseline
+ *   npm run eval -- --baseline before.json        list regressions and fixes since then
+ *   npm run eval -- --baseline ../old/src/utils/taskParser.js
+ *                                                 compare against another parser version
+ *
+ * Exits with 1 when anything regressed against the baseline.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { compareRuns, EVALUATED_FIELDS, runCorpus, summarize, validateCorpus } from './evaluate.js';
+
+const DEFAULT_CORPUS = fileURLToPath(new URL('./corpus.json', import.meta.url));
+const DEFAULT_PARSER = fileURLToPath(new URL('../src/utils/taskParser.js', import.meta.url));
+
+const USAGE = `Usage: npm run eval -- [options]
+
+Options:
+  --corpus <path>     Labeled utterances (default: eval/corpus.json)
+  --parser <path>     Parser module to score (default: src/utils/taskParser.js)
+  --baseline <path>   Saved report (.json) or parser module (.js) to compare with
+  --save <path>       Write this run's report, to use as a later baseline
+  --failures          List every field the parser got wrong
+  --json              Print the report as JSON`;
+
+const readJson = async (path) => {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`Couldn't read ${path}: ${err.message}`);
+    }
+};
+
+/**
+ * parseTasks from a parser module, e.g. another checkout's taskParser.js
+ */
+const loadParser = async (path) => {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const parse = module.parseTasks || module.default;
+    if (typeof parse !== 'function') throw new Error(`${path} doesn't export parseTasks.`);
+    return parse;
+};
+
+const evaluate = (parse, corpus) => {
+    const run = runCorpus(parse, corpus);
+    return { reference: corpus.reference, summary: summarize(run), results: run.results };
+};
+
+const percent = (value) => (value === null ? '   -' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+const show = (value) => (value === undefined ? '(no task)' : JSON.stringify(value));
+
+const printSummary = ({ summary }) => {
+    console.log('Field         Accuracy  Precision  Right/Labeled');
+    EVALUATED_FIELDS.forEach(field => {
+        const { accuracy, precision, correct, labeled } = summary.fields[field];
+        console.log(`${field.padEnd(12)}  ${percent(accuracy)}    ${percent(precision)}    ${correct}/${labeled}`);
+    });
+    const { expected, missing, extra } = summary.tasks;
+    console.log(`\nTasks: ${expected} expected, ${missing} not found, ${extra} extra`);
+};
+
+const printResults = (title, results) => {
+    if (results.length === 0) return;
+    console.log(`\n${title} (${results.length}):`);
+    results.forEach(result => {
+        const before = 'before' in result ? `, was ${show(result.before)}` : '';
+        console.log(`  ${result.key}  "${result.text}"`);
+        console.log(`      expected ${show(result.expected)}, got ${show(result.actual)}${before}`);
+    });
+};
+
+const main = async (argv) => {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            corpus: { type: 'string' },
+            parser: { type: 'string' },
+            baseline: { type: 'string' },
+            save: { type: 'string' },
+            failures: { type: 'boolean' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const corpus = validateCorpus(await readJson(values.corpus || DEFAULT_CORPUS));
+    const report = evaluate(await loadParser(values.parser || DEFAULT_PARSER), corpus);
+
+    let comparison = null;
+    if (values.baseline) {
+        const baseline = /\.json$/i.test(values.baseline)
+            ? await readJson(values.baseline)
+            : evaluate(await loadParser(values.baseline), corpus);
+        if (baseline.reference !== corpus.reference) {
+            throw new Error(`The baseline was scored against ${baseline.reference}, this corpus against ${corpus.reference}.`);
+        }
+        comparison = compareRuns(baseline.results, report.results);
+    }
+
+    if (values.save) await writeFile(values.save, `${JSON.stringify(report, null, 2)}\n`);
+
+    if (values.json) {
+        console.log(JSON.stringify(comparison ? { ...report, ...comparison } : report, null, 2));
+    } else {
+        printSummary(report);
+        if (values.failures) printResults('Wrong', report.results.filter(result => !result.correct));
+        if (comparison) {
+            printResults('Regressions', comparison.regressions);
+            printResults('Fixes', comparison.fixes);
+            console.log(`\n${comparison.regressions.length} regressed, ${comparison.fixes.length} fixed since the baseline`);
+        }
+    }
+
+    if (comparison && comparison.regressions.length > 0) process.exitCode = 1;
+};
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`eval: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -1,18 +1,78 @@
 import { useState, useMemo, useEffect } from 'react'
 import parseTasks from './utils/taskParser'
 import { useTaskStore } from './hooks/useTaskStore'
+import { useDictionaries } from './hooks/useDictionaries'
+import { useCategories } from './hooks/useCategories'
+import { useLanguageSettings } from './hooks/useLanguageSettings'
+import { useLearner } from './hooks/useLearner'
+import { useDailyCapacity } from './hooks/useDailyCapacity'
+import { useContacts } from './hooks/useContacts'
+import { usePreviewSettings } from './hooks/usePreviewSettings'
 import FilterBar from './components/FilterBar'
 import CollapsibleSection from './components/CollapsibleSection'
+import RecurrenceEditor from './components/RecurrenceEditor'
+import SubtaskEditor from './components/SubtaskEditor'
+import DictionarySettings from './components/DictionarySettings'
+import CategoryManager from './components/CategoryManager'
+import LanguageSettings from './components/LanguageSettings'
+import LearnerSettings from './components/LearnerSettings'
+import ContactSettings from './components/ContactSettings'
+import SettingsPanel from './components/SettingsPanel'
+import TimeBudget from './components/TimeBudget'
+import DuplicatePrompt from './components/DuplicatePrompt'
+import CommandPreview from './components/CommandPreview'
+import ReviewNotice from './components/ReviewNotice'
+import TaskPreview from './components/TaskPreview'
+import PreviewSettings from './components/PreviewSettings'
+import TaskFileSettings from './components/TaskFileSettings'
+import { describeRecurrence } from './utils/recurrence'
+import { formatDisplayDate, parseISODate } from './utils/dateUtils'
+import { getCategoryStyle, getFallbackCategory } from './utils/categories'
+import { formatEstimate, parseEstimateInput } from './utils/estimates'
+import { findDuplicates, mergeTasks, updateFromTask } from './utils/duplicates'
+import { resolveCommand } from './utils/intents'
+import { CONFIDENCE_FIELDS, confirmFields } from './utils/confidence'
+import { isQuickAdd } from './utils/preview'
+import { formatTaskDates, getDateStatus, withDates } from './utils/taskDates'
+
+// Parse date for sorting
+const parseDate = (dueDate) => parseISODate(dueDate) || new Date(9999, 11, 31); // Far future
+
+// Parse date plus time-of-day for sorting; untimed tasks go last on their day
+const parseDateTime = (task) => {
+  const date = parseDate(task.dueDate);
+  const [hours, minutes] = (task.dueTime || '23:59').split(':').map(Number);
+  date.setHours(hours, minutes);
+  return date;
+};
 
 function App() {
-  const { tasks, addTask, removeTask, toggleComplete, editTask, undo, redo, canUndo, canRedo } = useTaskStore();
+  const { tasks, addTask, applyBatch, importTasks, exportTasks, removeTask, toggleComplete, toggleSubtask, editTask, reassignCategory, undo, redo, canUndo, canRedo } = useTaskStore();
+  const { dictionaries, isCustomized, updateSection, resetDictionaries, importDictionaries, exportDictionaries } = useDictionaries();
+  const { categories, fallbackCategory, hasCategory, addCategory, updateCategory, moveCategory, removeCategory } = useCategories();
+  const {
+    speechLang, parserLocale, dateOrder, parserDateOrder, weekStart, parserWeekStart,
+    setSpeechLang, setParserLocale, setDateOrder, setWeekStart
+  } = useLanguageSettings();
+  const { model: learnerModel, exampleCount, describe, learnFromEdit, relabelCategory, resetLearner } = useLearner();
+  const { capacity, setCapacity } = useDailyCapacity();
+  const { contacts, learnContacts, forgetContact } = useContacts();
+  const { skipShortInputs, setSkipShortInputs } = usePreviewSettings();
 
   const [isListening, setIsListening] = useState(false);
   const [transcript, setTranscript] = useState('');
   const [search, setSearch] = useState('');
   const [sortBy, setSortBy] = useState('priority'); // 'priority' or 'date'
+  const [personFilter, setPersonFilter] = useState(''); // '' = everyone
+  const [contextFilter, setContextFilter] = useState(''); // '' = anywhere
+  const [reviewOnly, setReviewOnly] = useState(false);
   const [showCompleted, setShowCompleted] = useState(false);
   const [selectedTasks, setSelectedTasks] = useState(new Set());
+  const [showSettings, setShowSettings] = useState(false);
+  const [showBudget, setShowBudget] = useState(false);
+  const [pendingTasks, setPendingTasks] = useState(null); // { tasks, matches } awaiting a duplicate decision
+  const [pendingCommand, setPendingCommand] = useState(null); // spoken command awaiting confirmation
+  const [previewTasks, setPreviewTasks] = useState(null); // parsed tasks not added yet
 
   // Collapsible sections state - persisted in localStorage
   const [collapsedSections, setCollapsedSections] = useState(() => {
@@ -37,7 +97,16 @@ function App() {
     setEditingId(task.id);
     setEditForm({
       description: task.description,
-      dueDate: task.dueDate,
+      scheduledDate: task.scheduledDate || null,
+      deadline: task.deadline || null,
+      dueTime: task.dueTime || null,
+      recurrence: task.recurrence || null,
+      estimate: task.estimate || null,
+      estimateInput: task.estimate ? formatEstimate(task.estimate) : '',
+      peopleInput: (task.people || []).join(', '),
+      context: task.context || null,
+      tagsInput: (task.tags || []).map(tag => `#${tag}`).join(' '),
+      subtasks: task.subtasks || [],
       category: task.category,
       urgency: task.urgency
     });
@@ -45,7 +114,19 @@ function App() {
 
   const saveEdit = () => {
     if (editingId && editForm.description.trim()) {
-      editTask(editingId, editForm);
+      const { estimateInput, peopleInput, tagsInput, ...changes } = editForm;
+      changes.estimate = parseEstimateInput(estimateInput);
+      changes.people = peopleInput.split(',').map(name => name.trim()).filter(Boolean);
+      changes.subtasks = changes.subtasks.filter(subtask => subtask.text.trim());
+      changes.tags = [...new Set(tagsInput.split(/[\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean))];
+      Object.assign(changes, withDates(changes.scheduledDate, changes.deadline));
+      // Only names the user has checked become contacts; parsed ones can be places or products
+      learnContacts(changes.people);
+      const original = tasks.find(t => t.id === editingId);
+      if (original) learnFromEdit(original, changes);
+      // Saving the form counts as checking every field
+      if (original && original.confidence) Object.assign(changes, confirmFields(original, CONFIDENCE_FIELDS));
+      editTask(editingId, changes);
       setEditingId(null);
     }
   };
@@ -55,50 +136,22 @@ function App() {
     setEditForm({});
   };
 
-  // Check if task is overdue
-  const isOverdue = (dueDateStr) => {
-    if (!dueDateStr || dueDateStr === 'Not specified') return false;
-
-    // Parse DD-MMM format to Date
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const parts = dueDateStr.split('-');
-    if (parts.length === 2) {
-      const day = parseInt(parts[0]);
-      const monthIndex = months.indexOf(parts[1]);
-      if (monthIndex !== -1) {
-        const year = new Date().getFullYear();
-        const dueDate = new Date(year, monthIndex, day);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        return dueDate < today;
-      }
-    }
-    return false;
-  };
-
-  // Get overdue class based on priority
+  // Get overdue class based on priority; only a passed deadline is overdue,
+  // a passed scheduled day is just missed
   const getOverdueClass = (task) => {
-    if (!isOverdue(task.dueDate) || task.completed) return '';
+    const status = getDateStatus(task);
+    if (status === 'missed') return 'task-missed';
+    if (status !== 'overdue') return '';
     if (task.urgency === 'High') return 'task-overdue-high';
     if (task.urgency === 'Medium') return 'task-overdue-medium';
     return 'task-overdue-low';
   };
 
-  // Parse date for sorting
-  const parseDate = (dueDateStr) => {
-    if (!dueDateStr || dueDateStr === 'Not specified') return new Date(9999, 11, 31); // Far future
-
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const parts = dueDateStr.split('-');
-    if (parts.length === 2) {
-      const day = parseInt(parts[0]);
-      const monthIndex = months.indexOf(parts[1]);
-      if (monthIndex !== -1) {
-        const year = new Date().getFullYear();
-        return new Date(year, monthIndex, day);
-      }
-    }
-    return new Date(9999, 11, 31);
+  // Format HH:MM (24-hour) for display, e.g. "3:30 PM"
+  const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const period = hours < 12 ? 'AM' : 'PM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`;
   };
 
   // Derived state - filtered and sorted tasks
@@ -106,8 +159,18 @@ function App() {
     let filtered = tasks.filter(task => {
       // Show/hide completed
       if (!showCompleted && task.completed) return false;
-      // Search
-      if (search && !task.description.toLowerCase().includes(search.toLowerCase())) return false;
+      // Search (description or #tags)
+      if (search) {
+        const query = search.toLowerCase();
+        const inTags = (task.tags || []).some(tag => `#${tag}`.includes(query));
+        if (!task.description.toLowerCase().includes(query) && !inTags) return false;
+      }
+      // Person
+      if (personFilter && !(task.people || []).some(person => person.toLowerCase() === personFilter.toLowerCase())) return false;
+      // Context
+      if (contextFilter && task.context !== contextFilter) return false;
+      // Needs review
+      if (reviewOnly && !task.needsReview) return false;
       return true;
     });
 
@@ -115,31 +178,86 @@ function App() {
     if (sortBy === 'priority') {
       // High -> Medium -> Low
       const priorityOrder = { 'High': 0, 'Medium': 1, 'Low': 2 };
+      // Within a priority, the nearest deadline first
       filtered.sort((a, b) => {
-        return priorityOrder[a.urgency] - priorityOrder[b.urgency];
+        return priorityOrder[a.urgency] - priorityOrder[b.urgency]
+          || (a.deadline || '9999').localeCompare(b.deadline || '9999');
       });
     } else if (sortBy === 'date') {
       // Sort by date: overdue/closest first
       filtered.sort((a, b) => {
-        const dateA = parseDate(a.dueDate);
-        const dateB = parseDate(b.dueDate);
+        const dateA = parseDateTime(a);
+        const dateB = parseDateTime(b);
         return dateA - dateB;
       });
     }
 
     return filtered;
-  }, [tasks, search, sortBy, showCompleted]);
+  }, [tasks, search, sortBy, showCompleted, personFilter, contextFilter, reviewOnly]);
+
+  // Everyone mentioned in a task, for the person filter
+  const allPeople = useMemo(() => {
+    const names = new Map();
+    tasks.forEach(task => (task.people || []).forEach(person => {
+      if (!names.has(person.toLowerCase())) names.set(person.toLowerCase(), person);
+    }));
+    return [...names.values()].sort((a, b) => a.localeCompare(b));
+  }, [tasks]);
 
-  // Group tasks by category after sorting
+  // Every place a task is tied to, for the context filter
+  const allContexts = useMemo(() => {
+    return [...new Set(tasks.map(task => task.context).filter(Boolean))].sort();
+  }, [tasks]);
+
+  // Group tasks by category after sorting; tasks with an unknown category show under the fallback
   const tasksByCategory = useMemo(() => {
-    const grouped = { Work: [], Home: [] };
+    const grouped = {};
+    categories.forEach(category => { grouped[category.name] = []; });
     filteredTasks.forEach(task => {
-      if (grouped[task.category]) {
-        grouped[task.category].push(task);
-      }
+      const target = grouped[task.category] ? task.category : fallbackCategory;
+      if (grouped[target]) grouped[target].push(task);
     });
     return grouped;
-  }, [filteredTasks]);
+  }, [filteredTasks, categories, fallbackCategory]);
+
+  // Task totals per category, for the delete confirmation
+  const categoryTaskCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach(task => { counts[task.category] = (counts[task.category] || 0) + 1; });
+    return counts;
+  }, [tasks]);
+
+  // Category management keeps tasks and keyword dictionaries in step
+  const handleAddCategory = (name, color, keywords) => {
+    if (hasCategory(name)) {
+      alert(`A category called "${name}" already exists.`);
+      return false;
+    }
+    addCategory(name, color);
+    updateSection('category', { ...dictionaries.category, [name]: keywords });
+    return true;
+  };
+
+  const handleRenameCategory = (oldName, newName) => {
+    if (hasCategory(newName) && newName.toLowerCase() !== oldName.toLowerCase()) {
+      alert(`A category called "${newName}" already exists.`);
+      return false;
+    }
+    const { [oldName]: keywords = [], ...otherKeywords } = dictionaries.category;
+    updateCategory(oldName, { name: newName });
+    updateSection('category', { ...otherKeywords, [newName]: keywords });
+    reassignCategory(oldName, newName);
+    relabelCategory(oldName, newName);
+    return true;
+  };
+
+  const handleRemoveCategory = (name) => {
+    const { [name]: _removed, ...otherKeywords } = dictionaries.category;
+    reassignCategory(name, getFallbackCategory(categories, name));
+    removeCategory(name);
+    updateSection('category', otherKeywords);
+    relabelCategory(name, null);
+  };
 
   // Count open (incomplete) tasks
   const openTaskCount = useMemo(() => {
@@ -162,10 +280,10 @@ function App() {
     if (selectedTasksList.length === 0) return;
 
     // Format as tab-separated table
-    let copyText = 'Task\tDue Date\tPriority\n';
+    let copyText = 'Task\tDate\tPriority\n';
     selectedTasksList.forEach(task => {
       const priority = getPriorityLetter(task.urgency);
-      copyText += `${task.description}\t${task.dueDate}\t${priority}\n`;
+      copyText += `${task.description}\t${formatTaskDates(task)}\t${priority}\n`;
     });
 
     navigator.clipboard.writeText(copyText).then(() => {
@@ -188,33 +306,6 @@ function App() {
     return 'priority-low';
   };
 
-  // Convert Date object to YYYY-MM-DD for date input
-  const formatDateForInput = (dateStr) => {
-    if (!dateStr || dateStr === 'Not specified') return '';
-    // Parse DD-MMM format back to Date
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const parts = dateStr.split('-');
-    if (parts.length === 2) {
-      const day = parseInt(parts[0]);
-      const monthIndex = months.indexOf(parts[1]);
-      if (monthIndex !== -1) {
-        const year = new Date().getFullYear();
-        const date = new Date(year, monthIndex, day);
-        return date.toISOString().split('T')[0];
-      }
-    }
-    return '';
-  };
-
-  // Convert YYYY-MM-DD from date input to DD-MMM
-  const parseDateFromInput = (dateStr) => {
-    if (!dateStr) return 'Not specified';
-    const date = new Date(dateStr);
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = date.toLocaleString('default', { month: 'short' });
-    return `${day}-${month}`;
-  };
-
   const handleVoiceInput = () => {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
@@ -223,7 +314,7 @@ function App() {
     }
 
     const recognition = new SpeechRecognition();
-    recognition.lang = 'en-US';
+    recognition.lang = speechLang;
     recognition.start();
     setIsListening(true);
 
@@ -237,13 +328,90 @@ function App() {
     recognition.onend = () => setIsListening(false);
   };
 
+  const parserOptions = {
+    dictionaries,
+    locale: parserLocale,
+    dateOrder: parserDateOrder,
+    weekStart: parserWeekStart,
+    learner: learnerModel,
+    contacts,
+    categories: categories.map(c => c.name),
+    defaultCategory: fallbackCategory
+  };
+
   const processTranscript = () => {
     if (!transcript.trim()) return;
-    const extracted = parseTasks(transcript);
+
+    // "mark groceries done" acts on an existing task once confirmed
+    const command = resolveCommand(transcript, tasks, parserOptions);
+    if (command) {
+      setPendingCommand(command);
+      return;
+    }
+    addTranscriptTasks();
+  };
+
+  // Parsed tasks open in the preview unless the input was short and clear
+  const addTranscriptTasks = () => {
+    const extracted = parseTasks(transcript, parserOptions);
+    if (skipShortInputs && isQuickAdd(transcript, extracted)) {
+      addParsedTasks(extracted);
+    } else {
+      setPreviewTasks(extracted);
+    }
+  };
+
+  const confirmPreview = () => {
+    const kept = previewTasks
+      .filter(task => task.description.trim())
+      .map(task => ({ ...task, description: task.description.trim() }));
+    setPreviewTasks(null);
+    addParsedTasks(kept);
+  };
+
+  const addParsedTasks = (extracted) => {
+    const matches = findDuplicates(extracted, tasks)
+      .map(({ index, existing }) => ({ index, incoming: extracted[index], existing }));
+    if (matches.length > 0) {
+      setPendingTasks({ tasks: extracted, matches });
+      return;
+    }
     addTask(extracted);
     setTranscript('');
   };
 
+  // Every command goes through the store, so it can be undone
+  const applyCommand = () => {
+    const { action, task, changes } = pendingCommand;
+    if (action === 'complete') {
+      if (!task.completed) toggleComplete(task.id);
+    } else if (action === 'delete') {
+      removeTask(task.id);
+    } else {
+      editTask(task.id, changes);
+    }
+    setPendingCommand(null);
+    setTranscript('');
+  };
+
+  // Apply the choice made for each repeated task; the rest are added as usual
+  const resolveDuplicates = (choices) => {
+    const { tasks: extracted, matches } = pendingTasks;
+    const updates = {};
+    const folded = new Set();
+    matches.forEach(({ index, incoming, existing }) => {
+      if (choices[index] === 'keep') return;
+      const base = { ...existing, ...updates[existing.id] };
+      const changes = choices[index] === 'merge' ? mergeTasks(base, incoming) : updateFromTask(incoming);
+      updates[existing.id] = { ...updates[existing.id], ...changes };
+      folded.add(index);
+    });
+    const added = extracted.filter((_, index) => !folded.has(index));
+    applyBatch(added, updates);
+    setPendingTasks(null);
+    setTranscript('');
+  };
+
   return (
     <div className="container" style={{ paddingBottom: '140px' }}>
       <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
@@ -281,15 +449,117 @@ function App() {
           >
             ↪️
           </button>
+          <button
+            onClick={() => setShowBudget(true)}
+            style={{ border: 'none', background: 'none', fontSize: '1.2rem', cursor: 'pointer' }}
+            title="Time budget"
+          >
+            ⏱️
+          </button>
+          <button
+            onClick={() => setShowSettings(true)}
+            style={{ border: 'none', background: 'none', fontSize: '1.2rem', cursor: 'pointer' }}
+            title="Settings"
+          >
+            ⚙️
+          </button>
         </div>
       </header>
 
+      {showBudget && (
+        <SettingsPanel title="Time budget" onClose={() => setShowBudget(false)}>
+          <TimeBudget tasks={tasks} categories={categories} capacity={capacity} onCapacityChange={setCapacity} />
+        </SettingsPanel>
+      )}
+
+      {pendingCommand && (
+        <SettingsPanel title="Update a task" onClose={() => setPendingCommand(null)}>
+          <CommandPreview
+            command={pendingCommand}
+            onConfirm={applyCommand}
+            onAddAsTask={() => {
+              setPendingCommand(null);
+              addTranscriptTasks();
+            }}
+          />
+        </SettingsPanel>
+      )}
+
+      {previewTasks && (
+        <SettingsPanel title="Check before adding" onClose={() => setPreviewTasks(null)}>
+          <TaskPreview
+            tasks={previewTasks}
+            categories={categories}
+            onChange={setPreviewTasks}
+            onConfirm={confirmPreview}
+          />
+        </SettingsPanel>
+      )}
+
+      {pendingTasks && (
+        <SettingsPanel title="Already on your list?" onClose={() => setPendingTasks(null)}>
+          <DuplicatePrompt matches={pendingTasks.matches} onResolve={resolveDuplicates} />
+        </SettingsPanel>
+      )}
+
+      {showSettings && (
+        <SettingsPanel title="Settings" onClose={() => setShowSettings(false)}>
+          <LanguageSettings
+            speechLang={speechLang}
+            parserLocale={parserLocale}
+            dateOrder={dateOrder}
+            weekStart={weekStart}
+            onSpeechLangChange={setSpeechLang}
+            onParserLocaleChange={setParserLocale}
+            onDateOrderChange={setDateOrder}
+            onWeekStartChange={setWeekStart}
+          />
+          <CategoryManager
+            categories={categories}
+            fallbackCategory={fallbackCategory}
+            taskCounts={categoryTaskCounts}
+            onAdd={handleAddCategory}
+            onRename={handleRenameCategory}
+            onRecolor={(name, color) => updateCategory(name, { color })}
+            onMove={moveCategory}
+            onRemove={handleRemoveCategory}
+          />
+          <PreviewSettings skipShortInputs={skipShortInputs} onSkipShortInputsChange={setSkipShortInputs} />
+          <ContactSettings contacts={contacts} onForget={forgetContact} />
+          <LearnerSettings
+            exampleCount={exampleCount}
+            categoryEntries={describe('category')}
+            urgencyEntries={describe('urgency')}
+            onReset={resetLearner}
+          />
+          <DictionarySettings
+            dictionaries={dictionaries}
+            categoryNames={categories.map(c => c.name)}
+            isCustomized={isCustomized}
+            onChange={updateSection}
+            onReset={resetDictionaries}
+            onImport={importDictionaries}
+            onExport={exportDictionaries}
+          />
+          <TaskFileSettings taskCount={tasks.length} onImport={importTasks} onExport={exportTasks} />
+        </SettingsPanel>
+      )}
+
       <FilterBar
         onSearchChange={setSearch}
         sortBy={sortBy}
         onSortChange={setSortBy}
         showCompleted={showCompleted}
         onToggleCompleted={() => setShowCompleted(!showCompleted)}
+        people={allPeople}
+        personFilter={personFilter}
+        onPersonFilterChange={setPersonFilter}
+        contexts={allContexts}
+        contextFilter={contextFilter}
+        onContextFilterChange={setContextFilter}
+        reviewCount={tasks.filter(task => task.needsReview && !task.completed).length}
+        reviewOnly={reviewOnly}
+        onToggleReview={() => setReviewOnly(!reviewOnly)}
       />
 
       {/* Copy Selected Button */}
@@ -338,8 +608,8 @@ function App() {
           </div>
         )}
 
-        {/* Collapsible Sections: Work & Home */}
-        {['Work', 'Home'].map(category => {
+        {/* Collapsible Sections: one per category, in the user's order */}
+        {categories.map(({ name: category }) => {
           const categoryTasks = tasksByCategory[category] || [];
           if (categoryTasks.length === 0) return null;
 
@@ -372,8 +642,23 @@ function App() {
                       <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
                         <input
                           type="date"
-                          value={formatDateForInput(editForm.dueDate)}
-                          onChange={e => setEditForm({ ...editForm, dueDate: parseDateFromInput(e.target.value) })}
+                          value={editForm.scheduledDate || ''}
+                          onChange={e => setEditForm({ ...editForm, scheduledDate: e.target.value || null })}
+                          title="On (scheduled day)"
+                          style={{
+                            padding: '6px',
+                            borderRadius: '6px',
+                            border: '1px solid #ddd',
+                            fontSize: '0.85rem',
+                            flex: 1,
+                            minWidth: '120px'
+                          }}
+                        />
+                        <input
+                          type="date"
+                          value={editForm.deadline || ''}
+                          onChange={e => setEditForm({ ...editForm, deadline: e.target.value || null })}
+                          title="By (deadline)"
                           style={{
                             padding: '6px',
                             borderRadius: '6px',
@@ -383,6 +668,31 @@ function App() {
                             minWidth: '120px'
                           }}
                         />
+                        <input
+                          type="time"
+                          value={editForm.dueTime || ''}
+                          onChange={e => setEditForm({ ...editForm, dueTime: e.target.value || null })}
+                          style={{
+                            padding: '6px',
+                            borderRadius: '6px',
+                            border: '1px solid #ddd',
+                            fontSize: '0.85rem',
+                            minWidth: '90px'
+                          }}
+                        />
+                        <input
+                          value={editForm.estimateInput}
+                          onChange={e => setEditForm({ ...editForm, estimateInput: e.target.value })}
+                          placeholder="⏱️ 1h30"
+                          title="Estimate, e.g. 45m, 1h30"
+                          style={{
+                            padding: '6px',
+                            borderRadius: '6px',
+                            border: '1px solid #ddd',
+                            fontSize: '0.85rem',
+                            width: '70px'
+                          }}
+                        />
                         <select
                           value={editForm.category}
                           onChange={e => setEditForm({ ...editForm, category: e.target.value })}
@@ -394,8 +704,9 @@ function App() {
                             minWidth: '80px'
                           }}
                         >
-                          <option value="Home">Home</option>
-                          <option value="Work">Work</option>
+                          {categories.map(c => (
+                            <option key={c.name} value={c.name}>{c.name}</option>
+                          ))}
                         </select>
                         <select
                           value={editForm.urgency}
@@ -413,6 +724,47 @@ function App() {
                           <option value="High">H - High</option>
                         </select>
                       </div>
+                      <input
+                        value={editForm.peopleInput}
+                        onChange={e => setEditForm({ ...editForm, peopleInput: e.target.value })}
+                        placeholder="👤 People, comma separated"
+                        style={{
+                          padding: '6px',
+                          borderRadius: '6px',
+                          border: '1px solid #ddd',
+                          fontSize: '0.85rem'
+                        }}
+                      />
+                      <input
+                        value={editForm.context || ''}
+                        onChange={e => setEditForm({ ...editForm, context: e.target.value.toLowerCase().replace(/^@/, '') || null })}
+                        placeholder="📍 Where, e.g. bank, shops"
+                        style={{
+                          padding: '6px',
+                          borderRadius: '6px',
+                          border: '1px solid #ddd',
+                          fontSize: '0.85rem'
+                        }}
+                      />
+                      <input
+                        value={editForm.tagsInput}
+                        onChange={e => setEditForm({ ...editForm, tagsInput: e.target.value })}
+                        placeholder="# Tags, e.g. #billing #admin"
+                        style={{
+                          padding: '6px',
+                          borderRadius: '6px',
+                          border: '1px solid #ddd',
+                          fontSize: '0.85rem'
+                        }}
+                      />
+                      <RecurrenceEditor
+                        value={editForm.recurrence}
+                        onChange={recurrence => setEditForm({ ...editForm, recurrence })}
+                      />
+                      <SubtaskEditor
+                        value={editForm.subtasks}
+                        onChange={subtasks => setEditForm({ ...editForm, subtasks })}
+                      />
                       <div style={{ display: 'flex', gap: '8px' }}>
                         <button
                           onClick={saveEdit}
@@ -512,15 +864,65 @@ function App() {
                         }}>
                           {task.description}
                         </div>
+                        {task.subtasks && task.subtasks.length > 0 && (
+                          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', marginTop: '4px' }}>
+                            {task.subtasks.map((subtask, index) => (
+                              <label
+                                key={index}
+                                onClick={e => e.stopPropagation()}
+                                style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', cursor: 'pointer' }}
+                              >
+                                <input
+                                  type="checkbox"
+                                  checked={subtask.completed}
+                                  onChange={() => toggleSubtask(task.id, index)}
+                                />
+                                <span style={{
+                                  textDecoration: subtask.completed ? 'line-through' : 'none',
+                                  color: subtask.completed ? 'var(--color-text-muted)' : 'var(--color-text-main)'
+                                }}>
+                                  {subtask.text}
+                                </span>
+                              </label>
+                            ))}
+                          </div>
+                        )}
                         <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', marginTop: '4px', display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '6px' }}>
-                          <span>📅 {task.dueDate}</span>
+                          {(task.scheduledDate || !task.deadline) && (
+                            <span title={getDateStatus(task) === 'missed' ? 'Scheduled day has passed' : 'On'}>
+                              📅 {formatDisplayDate(task.scheduledDate)}{task.scheduledDate && task.dueTime && ` · ${formatTime(task.dueTime)}`}
+                            </span>
+                          )}
+
+                          {task.deadline && (
+                            <span title="Deadline" style={{ fontWeight: getDateStatus(task) === 'overdue' ? 700 : 400 }}>
+                              ⏳ by {formatDisplayDate(task.deadline)}{!task.scheduledDate && task.dueTime && ` · ${formatTime(task.dueTime)}`}
+                            </span>
+                          )}
+
+                          {task.recurrence && (
+                            <span title={describeRecurrence(task.recurrence)}>🔁 {describeRecurrence(task.recurrence)}</span>
+                          )}
+
+                          {task.subtasks && task.subtasks.length > 0 && (
+                            <span title="Checklist progress">☑️ {task.subtasks.filter(subtask => subtask.completed).length}/{task.subtasks.length}</span>
+                          )}
+
+                          {task.estimate && <span title="Estimate">⏱️ {formatEstimate(task.estimate)}</span>}
+
+                          {task.people && task.people.length > 0 && <span title="People">👤 {task.people.join(', ')}</span>}
+
+                          {task.context && <span title="Where">📍 {task.context}</span>}
+
+                          {(task.tags || []).map(tag => (
+                            <span key={tag} style={{ color: 'var(--color-primary-dark)' }}>#{tag}</span>
+                          ))}
 
                           <span style={{
                             padding: '2px 6px',
                             borderRadius: '10px',
                             fontSize: '0.7rem',
-                            backgroundColor: `var(--color-${task.category.toLowerCase()})`,
-                            color: `var(--text-${task.category.toLowerCase()})`
+                            ...getCategoryStyle(categories, task.category)
                           }}>
                             {task.category}
                           </span>
@@ -529,6 +931,13 @@ function App() {
                             {getPriorityLetter(task.urgency)}
                           </span>
                         </div>
+                        {task.needsReview && !task.completed && (
+                          <ReviewNotice
+                            task={task}
+                            onConfirm={fields => editTask(task.id, confirmFields(task, fields))}
+                            onFix={() => startEditing(task)}
+                          />
+                        )}
                       </div>
 
                       {/* Delete Button */}
@@ -574,7 +983,7 @@ function App() {
               value={transcript}
               onChange={e => setTranscript(e.target.value)}
               autoFocus
-              placeholder="Edit your thought..."
+              placeholder="Edit your thought... (!high +work #tag ^fri)"
               style={{
                 flex: 1,
                 padding: '12px 16px',
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { CATEGORY_COLORS } from '../utils/categories.js';
+
+const inputStyle = {
+    padding: '6px 8px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem',
+    flex: 1,
+    minWidth: 0
+};
+
+const iconButtonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.85rem',
+    color: 'var(--color-text-muted)',
+    minHeight: '28px',
+    minWidth: '24px'
+};
+
+const colorInputStyle = {
+    width: '28px',
+    height: '28px',
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    flexShrink: 0
+};
+
+/**
+ * Name input that only commits on blur/Enter, so a rename doesn't
+ * move tasks on every keystroke.
+ */
+function CategoryNameInput({ name, onRename }) {
+    const [draft, setDraft] = useState(name);
+
+    const commit = () => {
+        if (draft.trim() && draft.trim() !== name) {
+            if (!onRename(draft.trim())) setDraft(name);
+        } else {
+            setDraft(name);
+        }
+    };
+
+    return (
+        <input
+            value={draft}
+            onChange={e => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+            style={inputStyle}
+        />
+    );
+}
+
+export default function CategoryManager({ categories, fallbackCategory, taskCounts, onAdd, onRename, onRecolor, onMove, onRemove }) {
+    const [name, setName] = useState('');
+    const [keywords, setKeywords] = useState('');
+    const [color, setColor] = useState(CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length]);
+
+    const add = () => {
+        if (!name.trim()) return;
+        const keywordList = keywords.split(',').map(k => k.toLowerCase().trim()).filter(Boolean);
+        if (onAdd(name.trim(), color, keywordList)) {
+            setName('');
+            setKeywords('');
+            setColor(CATEGORY_COLORS[(categories.length + 1) % CATEGORY_COLORS.length]);
+        }
+    };
+
+    const remove = (categoryName) => {
+        const count = taskCounts[categoryName] || 0;
+        const message = count > 0
+            ? `Delete "${categoryName}"? Its ${count} task(s) will move to ${fallbackCategory === categoryName ? 'the next category' : fallbackCategory}.`
+            : `Delete "${categoryName}"?`;
+        if (confirm(message)) onRemove(categoryName);
+    };
+
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>🗂️ Categories</div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '8px' }}>
+                {categories.map((category, index) => (
+                    <div key={category.name} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                        <input
+                            type="color"
+                            value={category.color}
+                            onChange={e => onRecolor(category.name, e.target.value)}
+                            style={colorInputStyle}
+                            title="Colour"
+                        />
+                        <CategoryNameInput name={category.name} onRename={newName => onRename(category.name, newName)} />
+                        <button onClick={() => onMove(category.name, -1)} disabled={index === 0} style={{ ...iconButtonStyle, opacity: index === 0 ? 0.3 : 1 }} title="Move up">▲</button>
+                        <button onClick={() => onMove(category.name, 1)} disabled={index === categories.length - 1} style={{ ...iconButtonStyle, opacity: index === categories.length - 1 ? 0.3 : 1 }} title="Move down">▼</button>
+                        <button onClick={() => remove(category.name)} disabled={categories.length === 1} style={{ ...iconButtonStyle, opacity: categories.length === 1 ? 0.3 : 1 }} title="Delete">✕</button>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <input type="color" value={color} onChange={e => setColor(e.target.value)} style={colorInputStyle} title="Colour" />
+                    <input value={name} onChange={e => setName(e.target.value)} placeholder="New category, e.g. Errands" style={inputStyle} />
+                </div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <input
+                        value={keywords}
+                        onChange={e => setKeywords(e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && add()}
+                        placeholder="Keywords, comma separated"
+                        style={inputStyle}
+                    />
+                    <button
+                        onClick={add}
+                        style={{
+                            padding: '6px 12px',
+                            borderRadius: '8px',
+                            border: 'none',
+                            background: 'var(--color-primary)',
+                            color: 'white',
+                            cursor: 'pointer',
+                            fontSize: '0.85rem',
+                            fontWeight: 600,
+                            minHeight: '32px',
+                            minWidth: 'auto'
+                        }}
+                    >
+                        Add
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import { formatDisplayDate } from '../utils/dateUtils.js';
+import { formatTaskDates } from '../utils/taskDates.js';
+
+const buttonStyle = {
+    flex: 1,
+    padding: '10px',
+    borderRadius: '8px',
+    border: '1px solid #ddd',
+    background: 'white',
+    fontSize: '0.85rem',
+    fontWeight: 600,
+    cursor: 'pointer'
+};
+
+/**
+ * What the command will do, in words
+ */
+const describeChange = ({ action, changes }) => {
+    if (action === 'complete') return 'Mark as done';
+    if (action === 'delete') return 'Delete';
+    if (action === 'reprioritise') return `Change priority to ${changes.urgency}`;
+    const time = changes.dueTime ? ` at ${changes.dueTime}` : '';
+    return changes.scheduledDate
+        ? `Move to ${formatDisplayDate(changes.scheduledDate)}${time}`
+        : `Move deadline to ${formatDisplayDate(changes.deadline)}${time}`;
+};
+
+/**
+ * Shows the task a spoken command matched before the change is applied
+ */
+export default function CommandPreview({ command, onConfirm, onAddAsTask }) {
+    const { task } = command;
+
+    return (
+        <div>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>{describeChange(command)}</div>
+            <div style={{ fontSize: '0.85rem', padding: '8px', borderRadius: '6px', background: 'var(--color-bg-soft)', marginBottom: '16px' }}>
+                <div style={{ fontWeight: 600 }}>{task.description}</div>
+                <div style={{ color: 'var(--color-text-muted)' }}>
+                    {[formatTaskDates(task), task.urgency, task.category].join(' · ')}
+                </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={onAddAsTask} style={buttonStyle}>
+                    Add as new task
+                </button>
+                <button
+                    onClick={onConfirm}
+                    style={{
+                        ...buttonStyle,
+                        border: 'none',
+                        background: command.action === 'delete' ? '#dc2626' : '#3b82f6',
+                        color: 'white'
+                    }}
+                >
+                    {command.action === 'delete' ? 'Delete' : 'Apply'}
+                </button>
+            </div>
+        </div>
+    );
+}
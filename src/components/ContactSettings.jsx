@@ -0,0 +1,42 @@
+const chipStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '2px 4px 2px 8px',
+    borderRadius: '12px',
+    background: 'var(--color-bg-soft)',
+    fontSize: '0.8rem'
+};
+
+const chipButtonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.8rem',
+    color: 'var(--color-text-muted)',
+    minHeight: '20px',
+    minWidth: '20px'
+};
+
+export default function ContactSettings({ contacts, onForget }) {
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>👥 People</div>
+            {contacts.length === 0 ? (
+                <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                    Names you save on a task show up here and are recognised from then on, even in lower case.
+                </div>
+            ) : (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                    {contacts.map(name => (
+                        <span key={name} style={chipStyle}>
+                            {name}
+                            <button onClick={() => onForget(name)} style={chipButtonStyle} title="Forget">✕</button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,236 @@
+import { useState, useRef } from 'react';
+import { PRIORITY_LEVELS, keywordOf, weightOf } from '../utils/dictionaries.js';
+
+const PRIORITY_LABELS = { URGENT: 'Urgent', HIGH: 'High', LOW: 'Low' };
+
+const inputStyle = {
+    padding: '6px 8px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem',
+    flex: 1,
+    minWidth: 0
+};
+
+const smallButtonStyle = {
+    padding: '6px 12px',
+    borderRadius: '8px',
+    border: 'none',
+    background: 'var(--color-bg-soft)',
+    color: 'var(--color-text-muted)',
+    cursor: 'pointer',
+    fontSize: '0.85rem',
+    fontWeight: 600,
+    minHeight: '32px',
+    minWidth: 'auto'
+};
+
+const chipStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '2px 4px 2px 8px',
+    borderRadius: '12px',
+    background: 'var(--color-bg-soft)',
+    fontSize: '0.8rem'
+};
+
+const chipButtonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.8rem',
+    color: 'var(--color-text-muted)',
+    minHeight: '20px',
+    minWidth: '20px'
+};
+
+function Section({ title, children }) {
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>{title}</div>
+            {children}
+        </div>
+    );
+}
+
+/**
+ * Chip list with an "add" input. With `weighted`, entries carry a weight
+ * that cycles 1 → 2 → 3 when its badge is clicked.
+ */
+function KeywordList({ label, keywords, onChange, weighted = false }) {
+    const [draft, setDraft] = useState('');
+
+    const add = () => {
+        const keyword = draft.toLowerCase().replace(/\s+/g, ' ').trim();
+        if (!keyword || keywords.some(entry => keywordOf(entry) === keyword)) {
+            setDraft('');
+            return;
+        }
+        onChange([...keywords, keyword]);
+        setDraft('');
+    };
+
+    const remove = (index) => onChange(keywords.filter((_, i) => i !== index));
+
+    const cycleWeight = (index) => {
+        onChange(keywords.map((entry, i) => {
+            if (i !== index) return entry;
+            const weight = weightOf(entry) % 3 + 1;
+            return weight === 1 ? keywordOf(entry) : { keyword: keywordOf(entry), weight };
+        }));
+    };
+
+    return (
+        <div style={{ marginBottom: '10px' }}>
+            {label && <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', fontWeight: 600, marginBottom: '4px' }}>{label}</div>}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '6px' }}>
+                {keywords.map((entry, index) => (
+                    <span key={`${keywordOf(entry)}-${index}`} style={chipStyle}>
+                        {keywordOf(entry)}
+                        {weighted && (
+                            <button
+                                onClick={() => cycleWeight(index)}
+                                title="Weight - click to change"
+                                style={{ ...chipButtonStyle, fontWeight: 700, color: weightOf(entry) > 1 ? 'var(--color-primary)' : 'var(--color-text-muted)' }}
+                            >
+                                ×{weightOf(entry)}
+                            </button>
+                        )}
+                        <button onClick={() => remove(index)} title="Remove" style={chipButtonStyle}>✕</button>
+                    </span>
+                ))}
+            </div>
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <input
+                    value={draft}
+                    onChange={e => setDraft(e.target.value)}
+                    onKeyDown={e => e.key === 'Enter' && add()}
+                    placeholder="Add keyword..."
+                    style={inputStyle}
+                />
+                <button onClick={add} style={smallButtonStyle}>Add</button>
+            </div>
+        </div>
+    );
+}
+
+export default function DictionarySettings({ dictionaries, categoryNames, isCustomized, onChange, onReset, onImport, onExport }) {
+    const [shortForm, setShortForm] = useState('');
+    const [expanded, setExpanded] = useState('');
+    const fileInputRef = useRef(null);
+
+    const addExpansion = () => {
+        const key = shortForm.toLowerCase().trim();
+        if (!key || !expanded.trim()) return;
+        onChange('expansions', { ...dictionaries.expansions, [key]: expanded.trim() });
+        setShortForm('');
+        setExpanded('');
+    };
+
+    const removeExpansion = (key) => {
+        const next = { ...dictionaries.expansions };
+        delete next[key];
+        onChange('expansions', next);
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([onExport()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'saydone-dictionaries.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            onImport(await file.text());
+            alert('Dictionaries imported!');
+        } catch (err) {
+            alert(`Couldn't import dictionaries: ${err.message}`);
+        }
+    };
+
+    return (
+        <>
+            <Section title="🎯 Priority keywords">
+                {PRIORITY_LEVELS.map(level => (
+                    <KeywordList
+                        key={level}
+                        label={PRIORITY_LABELS[level]}
+                        keywords={dictionaries.priority[level] || []}
+                        onChange={keywords => onChange('priority', { ...dictionaries.priority, [level]: keywords })}
+                    />
+                ))}
+            </Section>
+
+            <Section title="🗂️ Category keywords">
+                {(categoryNames || Object.keys(dictionaries.category)).map(name => (
+                    <KeywordList
+                        key={name}
+                        label={name}
+                        keywords={dictionaries.category[name] || []}
+                        weighted
+                        onChange={next => onChange('category', { ...dictionaries.category, [name]: next })}
+                    />
+                ))}
+            </Section>
+
+            <Section title="🔤 Abbreviations">
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '6px' }}>
+                    {Object.entries(dictionaries.expansions).map(([key, value]) => (
+                        <div key={key} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', fontSize: '0.85rem' }}>
+                            <span><strong>{key}</strong> → {value}</span>
+                            <button onClick={() => removeExpansion(key)} title="Remove" style={chipButtonStyle}>✕</button>
+                        </div>
+                    ))}
+                </div>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <input value={shortForm} onChange={e => setShortForm(e.target.value)} placeholder="Short" style={inputStyle} />
+                    <input
+                        value={expanded}
+                        onChange={e => setExpanded(e.target.value)}
+                        onKeyDown={e => e.key === 'Enter' && addExpansion()}
+                        placeholder="Expands to"
+                        style={inputStyle}
+                    />
+                    <button onClick={addExpansion} style={smallButtonStyle}>Add</button>
+                </div>
+            </Section>
+
+            <Section title="🔗 Keep together">
+                <KeywordList
+                    keywords={dictionaries.protectedPhrases}
+                    onChange={phrases => onChange('protectedPhrases', phrases)}
+                />
+            </Section>
+
+            <Section title="🧹 Filler phrases">
+                <KeywordList
+                    keywords={dictionaries.fillers}
+                    onChange={fillers => onChange('fillers', fillers)}
+                />
+            </Section>
+
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                <button onClick={handleExport} style={smallButtonStyle}>⬇️ Export</button>
+                <button onClick={() => fileInputRef.current.click()} style={smallButtonStyle}>⬆️ Import</button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+                {isCustomized && (
+                    <button
+                        onClick={() => confirm('Reset all keywords to the defaults?') && onReset()}
+                        style={{ ...smallButtonStyle, marginLeft: 'auto' }}
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+        </>
+    );
+}
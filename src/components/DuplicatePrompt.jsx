@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { formatTaskDates } from '../utils/taskDates.js';
+
+const CHOICES = [
+    { id: 'merge', label: 'Merge' },
+    { id: 'keep', label: 'Keep both' },
+    { id: 'update', label: 'Update date & priority' }
+];
+
+const summaryStyle = {
+    fontSize: '0.85rem',
+    padding: '6px 8px',
+    borderRadius: '6px',
+    background: 'var(--color-bg-soft)'
+};
+
+const describe = (task) => [
+    formatTaskDates(task),
+    task.urgency,
+    task.category
+].join(' · ');
+
+/**
+ * Asks what to do with each new task that repeats an open one.
+ * `matches` is [{ index, incoming, existing }]; resolves with { [index]: choice }
+ */
+export default function DuplicatePrompt({ matches, onResolve }) {
+    const [choices, setChoices] = useState(() =>
+        Object.fromEntries(matches.map(match => [match.index, 'merge']))
+    );
+
+    return (
+        <div>
+            {matches.map(({ index, incoming, existing }) => (
+                <div key={index} style={{ marginBottom: '18px' }}>
+                    <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', fontWeight: 600, marginBottom: '4px' }}>
+                        You already have
+                    </div>
+                    <div style={summaryStyle}>
+                        <div style={{ fontWeight: 600 }}>{existing.description}</div>
+                        <div style={{ color: 'var(--color-text-muted)' }}>{describe(existing)}</div>
+                    </div>
+                    <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', fontWeight: 600, margin: '8px 0 4px' }}>
+                        New
+                    </div>
+                    <div style={summaryStyle}>
+                        <div style={{ fontWeight: 600 }}>{incoming.description}</div>
+                        <div style={{ color: 'var(--color-text-muted)' }}>{describe(incoming)}</div>
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px' }}>
+                        {CHOICES.map(choice => {
+                            const selected = choices[index] === choice.id;
+                            return (
+                                <button
+                                    key={choice.id}
+                                    onClick={() => setChoices(prev => ({ ...prev, [index]: choice.id }))}
+                                    style={{
+                                        padding: '6px 10px',
+                                        borderRadius: '6px',
+                                        border: selected ? '1px solid #3b82f6' : '1px solid #ddd',
+                                        background: selected ? '#eff6ff' : 'white',
+                                        fontSize: '0.8rem',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {choice.label}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            ))}
+            <button
+                onClick={() => onResolve(choices)}
+                style={{
+                    width: '100%',
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: 'none',
+                    background: '#3b82f6',
+                    color: 'white',
+                    fontWeight: 600,
+                    cursor: 'pointer'
+                }}
+            >
+                Done
+            </button>
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 
-export default function FilterBar({ onSearchChange, sortBy, onSortChange, showCompleted, onToggleCompleted }) {
+export default function FilterBar({ onSearchChange, sortBy, onSortChange, showCompleted, onToggleCompleted, people = [], personFilter, onPersonFilterChange, contexts = [], contextFilter, onContextFilterChange, reviewCount = 0, reviewOnly, onToggleReview }) {
     const sortOptions = [
         { value: 'priority', label: '🎯 Priority' },
         { value: 'date', label: '📅 Date' }
@@ -50,6 +50,74 @@ export default function FilterBar({ onSearchChange, sortBy, onSortChange, showCo
                     </button>
                 ))}
 
+                {people.length > 0 && (
+                    <select
+                        value={personFilter}
+                        onChange={(e) => onPersonFilterChange(e.target.value)}
+                        style={{
+                            padding: '6px 10px',
+                            borderRadius: '20px',
+                            border: 'none',
+                            fontSize: '0.9rem',
+                            fontWeight: 600,
+                            background: personFilter ? 'var(--color-primary)' : 'var(--color-bg-soft)',
+                            color: personFilter ? 'white' : 'var(--color-text-muted)',
+                            minHeight: '32px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        <option value="">👤 Everyone</option>
+                        {people.map(person => (
+                            <option key={person} value={person}>{person}</option>
+                        ))}
+                    </select>
+                )}
+
+                {contexts.length > 0 && (
+                    <select
+                        value={contextFilter}
+                        onChange={(e) => onContextFilterChange(e.target.value)}
+                        style={{
+                            padding: '6px 10px',
+                            borderRadius: '20px',
+                            border: 'none',
+                            fontSize: '0.9rem',
+                            fontWeight: 600,
+                            background: contextFilter ? 'var(--color-primary)' : 'var(--color-bg-soft)',
+                            color: contextFilter ? 'white' : 'var(--color-text-muted)',
+                            minHeight: '32px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        <option value="">📍 Anywhere</option>
+                        {contexts.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                )}
+
+                {(reviewCount > 0 || reviewOnly) && (
+                    <button
+                        onClick={onToggleReview}
+                        style={{
+                            padding: '6px 14px',
+                            borderRadius: '20px',
+                            border: 'none',
+                            fontSize: '0.9rem',
+                            fontWeight: 600,
+                            cursor: 'pointer',
+                            background: reviewOnly ? '#f59e0b' : 'var(--color-bg-soft)',
+                            color: reviewOnly ? 'white' : 'var(--color-text-muted)',
+                            whiteSpace: 'nowrap',
+                            minHeight: '32px',
+                            minWidth: 'auto'
+                        }}
+                        title="Tasks the parser was unsure about"
+                    >
+                        ⚠️ Review ({reviewCount})
+                    </button>
+                )}
+
                 <button
                     onClick={onToggleCompleted}
                     className={`toggle-btn ${showCompleted ? 'active' : ''}`}
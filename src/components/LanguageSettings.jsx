@@ -0,0 +1,67 @@
+import { LOCALE_PACKS, SPEECH_LANGUAGES } from '../utils/locales/index.js';
+
+const selectStyle = {
+    padding: '6px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem',
+    flex: 1,
+    minWidth: 0
+};
+
+const labelStyle = {
+    fontSize: '0.8rem',
+    color: 'var(--color-text-muted)',
+    fontWeight: 600,
+    width: '90px',
+    flexShrink: 0
+};
+
+export default function LanguageSettings({ speechLang, parserLocale, dateOrder, weekStart, onSpeechLangChange, onParserLocaleChange, onDateOrderChange, onWeekStartChange }) {
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>🌐 Language</div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+                <span style={labelStyle}>Voice input</span>
+                <select value={speechLang} onChange={e => onSpeechLangChange(e.target.value)} style={selectStyle}>
+                    {SPEECH_LANGUAGES.map(language => (
+                        <option key={language.code} value={language.code}>{language.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+                <span style={labelStyle}>Task words</span>
+                <select value={parserLocale} onChange={e => onParserLocaleChange(e.target.value)} style={selectStyle}>
+                    {Object.values(LOCALE_PACKS).map(pack => (
+                        <option key={pack.code} value={pack.code}>{pack.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+                <span style={labelStyle}>Dates</span>
+                <select value={dateOrder} onChange={e => onDateOrderChange(e.target.value)} style={selectStyle}>
+                    <option value="auto">Auto (from voice input)</option>
+                    <option value="DMY">Day first (31/12)</option>
+                    <option value="MDY">Month first (12/31)</option>
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span style={labelStyle}>Week starts</span>
+                <select
+                    value={weekStart}
+                    onChange={e => onWeekStartChange(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
+                    style={selectStyle}
+                >
+                    <option value="auto">Auto (from voice input)</option>
+                    <option value="1">Monday</option>
+                    <option value="0">Sunday</option>
+                    <option value="6">Saturday</option>
+                </select>
+            </div>
+        </div>
+    );
+}
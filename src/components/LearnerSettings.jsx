@@ -0,0 +1,78 @@
+const labelStyle = {
+    fontSize: '0.8rem',
+    color: 'var(--color-text-muted)',
+    fontWeight: 600,
+    marginBottom: '4px'
+};
+
+const chipStyle = {
+    display: 'inline-block',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    background: 'var(--color-bg-soft)',
+    fontSize: '0.8rem'
+};
+
+function LearnedLabels({ title, entries }) {
+    if (entries.length === 0) return null;
+    return (
+        <div style={{ marginBottom: '10px' }}>
+            <div style={labelStyle}>{title}</div>
+            {entries.map(entry => (
+                <div key={entry.label} style={{ marginBottom: '6px' }}>
+                    <div style={{ fontSize: '0.85rem', fontWeight: 600 }}>
+                        {entry.label} <span style={{ color: 'var(--color-text-muted)', fontWeight: 400 }}>· {entry.examples} correction(s)</span>
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '2px' }}>
+                        {entry.words.length > 0
+                            ? entry.words.map(word => <span key={word} style={chipStyle}>{word}</span>)
+                            : <span style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>No telling words yet</span>}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function LearnerSettings({ exampleCount, categoryEntries, urgencyEntries, onReset }) {
+    const reset = () => {
+        if (confirm('Forget everything learned from your corrections?')) onReset();
+    };
+
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>🧠 Learned from your edits</div>
+
+            {exampleCount === 0 ? (
+                <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)', marginBottom: '8px' }}>
+                    Change a task's category or priority in the edit form and new tasks with similar words will follow.
+                </div>
+            ) : (
+                <>
+                    <LearnedLabels title="Categories" entries={categoryEntries} />
+                    <LearnedLabels title="Priority" entries={urgencyEntries} />
+                </>
+            )}
+
+            <button
+                onClick={reset}
+                disabled={exampleCount === 0}
+                style={{
+                    padding: '6px 12px',
+                    borderRadius: '8px',
+                    border: 'none',
+                    background: 'var(--color-bg-soft)',
+                    color: 'var(--color-text-muted)',
+                    cursor: exampleCount === 0 ? 'default' : 'pointer',
+                    opacity: exampleCount === 0 ? 0.5 : 1,
+                    fontSize: '0.85rem',
+                    fontWeight: 600,
+                    minHeight: '32px',
+                    minWidth: 'auto'
+                }}
+            >
+                Reset learning
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,22 @@
+import { SHORT_INPUT_WORDS } from '../utils/preview.js';
+
+export default function PreviewSettings({ skipShortInputs, onSkipShortInputsChange }) {
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>👀 Preview</div>
+            <label style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', fontSize: '0.85rem', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={skipShortInputs}
+                    onChange={e => onSkipShortInputsChange(e.target.checked)}
+                />
+                <span>
+                    Add short single tasks straight away
+                    <span style={{ display: 'block', color: 'var(--color-text-muted)', fontSize: '0.8rem' }}>
+                        Up to {SHORT_INPUT_WORDS} words, one task, nothing to review. Everything else opens the preview.
+                    </span>
+                </span>
+            </label>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+import { FREQUENCIES, WEEKDAY_NAMES } from '../utils/recurrence.js';
+
+const inputStyle = {
+    padding: '6px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem'
+};
+
+export default function RecurrenceEditor({ value, onChange }) {
+    const rule = value || null;
+
+    const setFrequency = (frequency) => {
+        if (!frequency) {
+            onChange(null);
+            return;
+        }
+        onChange({ frequency, interval: rule ? rule.interval : 1 });
+    };
+
+    const toggleWeekday = (day) => {
+        const weekdays = rule.weekdays || [];
+        const next = weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day].sort();
+        onChange({ ...rule, weekdays: next });
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>🔁 Repeat</span>
+                <select
+                    value={rule ? rule.frequency : ''}
+                    onChange={e => setFrequency(e.target.value)}
+                    style={{ ...inputStyle, minWidth: '90px' }}
+                >
+                    <option value="">Never</option>
+                    {FREQUENCIES.map(frequency => (
+                        <option key={frequency} value={frequency}>
+                            {frequency.charAt(0).toUpperCase() + frequency.slice(1)}
+                        </option>
+                    ))}
+                </select>
+
+                {rule && (
+                    <>
+                        <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>every</span>
+                        <input
+                            type="number"
+                            min="1"
+                            value={rule.interval || 1}
+                            onChange={e => onChange({ ...rule, interval: Math.max(1, parseInt(e.target.value) || 1) })}
+                            style={{ ...inputStyle, width: '50px' }}
+                        />
+                    </>
+                )}
+
+                {rule && rule.frequency === 'monthly' && (
+                    <select
+                        value={rule.monthDay || ''}
+                        onChange={e => onChange({ ...rule, monthDay: e.target.value ? parseInt(e.target.value) : undefined })}
+                        style={{ ...inputStyle, minWidth: '90px' }}
+                    >
+                        <option value="">Same day</option>
+                        {Array.from({ length: 31 }, (_, i) => i + 1).map(day => (
+                            <option key={day} value={day}>Day {day}</option>
+                        ))}
+                        <option value="-1">Last day</option>
+                    </select>
+                )}
+            </div>
+
+            {rule && rule.frequency === 'weekly' && (
+                <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+                    {WEEKDAY_NAMES.map((name, day) => {
+                        const selected = (rule.weekdays || []).includes(day);
+                        return (
+                            <button
+                                key={name}
+                                type="button"
+                                onClick={() => toggleWeekday(day)}
+                                style={{
+                                    padding: '4px 8px',
+                                    borderRadius: '12px',
+                                    border: 'none',
+                                    fontSize: '0.75rem',
+                                    fontWeight: 600,
+                                    cursor: 'pointer',
+                                    background: selected ? 'var(--color-primary)' : 'var(--color-bg-soft)',
+                                    color: selected ? 'white' : 'var(--color-text-muted)',
+                                    minHeight: '28px',
+                                    minWidth: '36px'
+                                }}
+                            >
+                                {name}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+import { FIELD_LABELS, reviewFields } from '../utils/confidence.js';
+
+const buttonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.8rem',
+    fontWeight: 600,
+    color: 'var(--color-primary-dark)',
+    minHeight: '24px'
+};
+
+/**
+ * The fields the parser was unsure about, each with its reason and a
+ * one-tap confirm; Fix opens the edit form
+ */
+export default function ReviewNotice({ task, onConfirm, onFix }) {
+    const fields = reviewFields(task);
+    if (fields.length === 0) return null;
+
+    return (
+        <div
+            onClick={e => e.stopPropagation()}
+            style={{ marginTop: '6px', padding: '6px 8px', borderRadius: '6px', background: '#fffbeb', fontSize: '0.8rem' }}
+        >
+            {fields.map(field => (
+                <div key={field} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <span style={{ flex: 1 }}>
+                        ⚠️ <strong>{FIELD_LABELS[field]}:</strong> {task.confidence[field].reason}
+                    </span>
+                    <button onClick={() => onConfirm([field])} style={buttonStyle} title="It's right">✓</button>
+                </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '4px', marginTop: '2px' }}>
+                <button onClick={onFix} style={buttonStyle}>Fix</button>
+                {fields.length > 1 && (
+                    <button onClick={() => onConfirm(fields)} style={buttonStyle}>All correct</button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,34 @@
+export default function SettingsPanel({ title, onClose, children }) {
+    return (
+        <div style={{
+            position: 'fixed',
+            inset: 0,
+            background: 'rgba(0,0,0,0.3)',
+            display: 'flex',
+            justifyContent: 'center',
+            zIndex: 10
+        }}>
+            <div className="animate-enter" style={{
+                width: '100%',
+                maxWidth: '360px',
+                background: 'white',
+                padding: '16px',
+                overflowY: 'auto',
+                boxSizing: 'border-box'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                    <h2 style={{ margin: 0, fontSize: '1.2rem' }}>{title}</h2>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'none', border: 'none', fontSize: '1.1rem', cursor: 'pointer' }}
+                        title="Close"
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                {children}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+
+const inputStyle = {
+    padding: '6px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem',
+    flex: 1,
+    minWidth: 0
+};
+
+const iconButtonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.85rem',
+    color: 'var(--color-text-muted)',
+    minHeight: '28px',
+    minWidth: '24px'
+};
+
+/**
+ * Checklist editor for the task edit form: rename, tick, remove and add items
+ */
+export default function SubtaskEditor({ value, onChange }) {
+    const subtasks = value || [];
+    const [draft, setDraft] = useState('');
+
+    const update = (index, changes) => {
+        onChange(subtasks.map((subtask, i) => i === index ? { ...subtask, ...changes } : subtask));
+    };
+
+    const add = () => {
+        if (!draft.trim()) return;
+        onChange([...subtasks, { text: draft.trim(), completed: false }]);
+        setDraft('');
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            <span style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>☑️ Checklist</span>
+            {subtasks.map((subtask, index) => (
+                <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <input
+                        type="checkbox"
+                        checked={subtask.completed}
+                        onChange={() => update(index, { completed: !subtask.completed })}
+                    />
+                    <input
+                        value={subtask.text}
+                        onChange={e => update(index, { text: e.target.value })}
+                        style={inputStyle}
+                    />
+                    <button
+                        onClick={() => onChange(subtasks.filter((_, i) => i !== index))}
+                        style={iconButtonStyle}
+                        title="Remove item"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <input
+                value={draft}
+                onChange={e => setDraft(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && add()}
+                onBlur={add}
+                placeholder="+ Add item"
+                style={inputStyle}
+            />
+        </div>
+    );
+}
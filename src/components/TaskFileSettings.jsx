@@ -0,0 +1,59 @@
+import { useRef } from 'react';
+
+const smallButtonStyle = {
+    padding: '6px 12px',
+    borderRadius: '8px',
+    border: 'none',
+    background: 'var(--color-bg-soft)',
+    color: 'var(--color-text-muted)',
+    cursor: 'pointer',
+    fontSize: '0.85rem',
+    fontWeight: 600,
+    minHeight: '32px',
+    minWidth: 'auto'
+};
+
+/**
+ * Move the task list to and from a JSON file, e.g. the one the saydone
+ * command-line tool works on
+ */
+export default function TaskFileSettings({ taskCount, onImport, onExport }) {
+    const fileInputRef = useRef(null);
+
+    const handleExport = () => {
+        const blob = new Blob([onExport()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'saydone-tasks.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (taskCount > 0 && !confirm('Replace your tasks with the ones in this file? You can undo this.')) return;
+        try {
+            onImport(await file.text());
+            alert('Tasks imported!');
+        } catch (err) {
+            alert(`Couldn't import tasks: ${err.message}`);
+        }
+    };
+
+    return (
+        <div style={{ marginBottom: '18px' }}>
+            <div style={{ fontSize: '0.95rem', fontWeight: 700, marginBottom: '8px' }}>💾 Task file</div>
+            <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)', marginBottom: '8px' }}>
+                The same file the <code>saydone</code> command-line tool reads and writes.
+            </div>
+            <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                <button onClick={handleExport} style={smallButtonStyle}>⬇️ Export</button>
+                <button onClick={() => fileInputRef.current.click()} style={smallButtonStyle}>⬆️ Import</button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+            </div>
+        </div>
+    );
+}
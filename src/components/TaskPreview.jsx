@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { confirmFields } from '../utils/confidence.js';
+import { mergeWithNext, splitTask } from '../utils/preview.js';
+import { withDates } from '../utils/taskDates.js';
+
+const inputStyle = {
+    padding: '6px',
+    borderRadius: '6px',
+    border: '1px solid #ddd',
+    fontSize: '0.85rem',
+    minWidth: 0
+};
+
+const actionStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.8rem',
+    fontWeight: 600,
+    color: 'var(--color-text-muted)',
+    minHeight: '28px'
+};
+
+const wordStyle = {
+    border: '1px dashed #ddd',
+    background: 'white',
+    borderRadius: '4px',
+    padding: '2px 4px',
+    fontSize: '0.85rem',
+    cursor: 'pointer'
+};
+
+/**
+ * The parsed tasks before they're added: edit the main fields, drop a task,
+ * merge it with the next one or split it at a word
+ */
+export default function TaskPreview({ tasks, categories, onChange, onConfirm }) {
+    const [splittingId, setSplittingId] = useState(null);
+
+    // Editing a field in the preview counts as checking it
+    const update = (index, field, value) => {
+        onChange(tasks.map((task, i) => i === index
+            ? { ...task, [field]: value, ...(task.confidence ? confirmFields(task, [field]) : {}) }
+            : task));
+    };
+
+    const updateDates = (index, scheduledDate, deadline) => {
+        onChange(tasks.map((task, i) => i === index
+            ? { ...task, ...withDates(scheduledDate, deadline), ...(task.confidence ? confirmFields(task, ['dueDate']) : {}) }
+            : task));
+    };
+
+    const split = (index, at) => {
+        onChange(splitTask(tasks, index, at));
+        setSplittingId(null);
+    };
+
+    const addable = tasks.filter(task => task.description.trim()).length;
+
+    return (
+        <div>
+            {tasks.map((task, index) => (
+                <div key={task.id} style={{ padding: '8px', borderRadius: '8px', background: 'var(--color-bg-soft)', marginBottom: '8px' }}>
+                    {splittingId === task.id ? (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+                            <span style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', width: '100%' }}>Tap the word the second task starts with</span>
+                            {task.description.split(/\s+/).map((word, at) => (
+                                <button
+                                    key={at}
+                                    onClick={() => split(index, at)}
+                                    disabled={at === 0}
+                                    style={{ ...wordStyle, opacity: at === 0 ? 0.5 : 1 }}
+                                >
+                                    {word}
+                                </button>
+                            ))}
+                        </div>
+                    ) : (
+                        <input
+                            value={task.description}
+                            onChange={e => update(index, 'description', e.target.value)}
+                            style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', fontWeight: 600 }}
+                        />
+                    )}
+
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+                        <input
+                            type="date"
+                            value={task.scheduledDate || ''}
+                            onChange={e => updateDates(index, e.target.value, task.deadline)}
+                            style={inputStyle}
+                            title="On (scheduled day)"
+                        />
+                        <input
+                            type="date"
+                            value={task.deadline || ''}
+                            onChange={e => updateDates(index, task.scheduledDate, e.target.value)}
+                            style={inputStyle}
+                            title="By (deadline)"
+                        />
+                        <select value={task.category} onChange={e => update(index, 'category', e.target.value)} style={inputStyle}>
+                            {categories.map(category => (
+                                <option key={category.name} value={category.name}>{category.name}</option>
+                            ))}
+                        </select>
+                        <select value={task.urgency} onChange={e => update(index, 'urgency', e.target.value)} style={inputStyle}>
+                            <option value="High">High</option>
+                            <option value="Medium">Medium</option>
+                            <option value="Low">Low</option>
+                        </select>
+                    </div>
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '4px', marginTop: '4px' }}>
+                        <button
+                            onClick={() => setSplittingId(splittingId === task.id ? null : task.id)}
+                            style={actionStyle}
+                            title="Split into two tasks"
+                        >
+                            {splittingId === task.id ? 'Cancel split' : '✂️ Split'}
+                        </button>
+                        {index < tasks.length - 1 && (
+                            <button onClick={() => onChange(mergeWithNext(tasks, index))} style={actionStyle} title="Join with the task below">
+                                ⤵️ Merge with next
+                            </button>
+                        )}
+                        <button onClick={() => onChange(tasks.filter((_, i) => i !== index))} style={actionStyle} title="Don't add this task">
+                            ✕ Drop
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            <button
+                onClick={onConfirm}
+                disabled={addable === 0}
+                style={{
+                    width: '100%',
+                    padding: '10px',
+                    borderRadius: '8px',
+                    border: 'none',
+                    background: '#3b82f6',
+                    color: 'white',
+                    fontWeight: 600,
+                    cursor: 'pointer',
+                    opacity: addable === 0 ? 0.5 : 1
+                }}
+            >
+                {addable === 0 ? 'Nothing to add' : `Add ${addable} task${addable === 1 ? '' : 's'}`}
+            </button>
+        </div>
+    );
+}
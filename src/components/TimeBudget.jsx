@@ -0,0 +1,106 @@
+import { formatDisplayDate } from '../utils/dateUtils.js';
+import { formatEstimate, summarizeBudget } from '../utils/estimates.js';
+import { getCategoryStyle } from '../utils/categories.js';
+
+const labelStyle = {
+    fontSize: '0.8rem',
+    color: 'var(--color-text-muted)',
+    fontWeight: 600,
+    marginBottom: '6px'
+};
+
+/**
+ * One bar per day, split into category colours, against the daily capacity
+ */
+function DayRow({ day, categories, capacity }) {
+    const over = day.dueDate && day.total > capacity;
+    const scale = Math.max(day.total, capacity);
+
+    return (
+        <div style={{ marginBottom: '10px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', marginBottom: '3px' }}>
+                <span style={{ fontWeight: 600 }}>{day.dueDate ? formatDisplayDate(day.dueDate) : 'No date'}</span>
+                <span style={{ color: over ? '#dc2626' : 'var(--color-text-muted)', fontWeight: over ? 700 : 400 }}>
+                    {formatEstimate(day.total)}
+                    {day.dueDate && ` / ${formatEstimate(capacity)}`}
+                    {over && ` · over by ${formatEstimate(day.total - capacity)}`}
+                </span>
+            </div>
+            <div style={{ display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden', background: 'var(--color-bg-soft)' }}>
+                {Object.entries(day.byCategory).map(([name, minutes]) => (
+                    <div
+                        key={name}
+                        title={`${name}: ${formatEstimate(minutes)}`}
+                        style={{ width: `${(minutes / scale) * 100}%`, background: getCategoryStyle(categories, name).color }}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default function TimeBudget({ tasks, categories, capacity, onCapacityChange }) {
+    const { days, deadlines, byCategory, unestimated } = summarizeBudget(tasks);
+
+    return (
+        <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '16px', fontSize: '0.85rem' }}>
+                <span style={{ ...labelStyle, marginBottom: 0 }}>Hours per day</span>
+                <select
+                    value={capacity}
+                    onChange={e => onCapacityChange(Number(e.target.value))}
+                    style={{ padding: '6px', borderRadius: '6px', border: '1px solid #ddd', fontSize: '0.85rem' }}
+                >
+                    {[2, 3, 4, 5, 6, 7, 8, 9, 10, 12].map(hours => (
+                        <option key={hours} value={hours * 60}>{hours}h</option>
+                    ))}
+                </select>
+            </div>
+
+            {days.length === 0 && deadlines.length === 0 ? (
+                <div style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>
+                    No estimates yet. Say how long things take, e.g. "spend 30 minutes on the slides".
+                </div>
+            ) : (
+                <>
+                    {days.length > 0 && <div style={labelStyle}>By day</div>}
+                    {days.map(day => (
+                        <DayRow key={day.dueDate || 'none'} day={day} categories={categories} capacity={capacity} />
+                    ))}
+
+                    {deadlines.length > 0 && (
+                        <>
+                            <div style={{ ...labelStyle, marginTop: '16px' }}>Deadlines, any day before</div>
+                            {deadlines.map(group => (
+                                <div key={group.deadline} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', marginBottom: '6px' }}>
+                                    <span style={{ fontWeight: 600 }}>by {formatDisplayDate(group.deadline)}</span>
+                                    <span style={{ color: 'var(--color-text-muted)' }}>
+                                        {formatEstimate(group.total)} · {group.tasks.length} task(s)
+                                    </span>
+                                </div>
+                            ))}
+                        </>
+                    )}
+
+                    <div style={{ ...labelStyle, marginTop: '16px' }}>By category</div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                        {Object.entries(byCategory).map(([name, minutes]) => (
+                            <span
+                                key={name}
+                                style={{ padding: '2px 8px', borderRadius: '10px', fontSize: '0.8rem', ...getCategoryStyle(categories, name) }}
+                            >
+                                {name} · {formatEstimate(minutes)}
+                            </span>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {unestimated > 0 && (
+                <div style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)', marginTop: '16px' }}>
+                    {unestimated} open task(s) have no estimate and aren't counted.
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo } from 'react';
+import { DEFAULT_CATEGORIES, getFallbackCategory, sortCategories } from '../utils/categories.js';
+
+const STORAGE_KEY = 'saydone-categories';
+
+export function useCategories() {
+    const [categories, setCategories] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : DEFAULT_CATEGORIES;
+    });
+
+    // Persist categories
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
+    }, [categories]);
+
+    const sorted = useMemo(() => sortCategories(categories), [categories]);
+
+    const hasCategory = (name) => categories.some(c => c.name.toLowerCase() === name.toLowerCase());
+
+    const addCategory = (name, color) => {
+        const order = categories.reduce((max, c) => Math.max(max, c.order), -1) + 1;
+        setCategories(prev => [...prev, { name, color, order }]);
+    };
+
+    const updateCategory = (name, changes) => {
+        setCategories(prev => prev.map(c => c.name === name ? { ...c, ...changes } : c));
+    };
+
+    // Swap section order with the neighbour above (-1) or below (+1)
+    const moveCategory = (name, direction) => {
+        const index = sorted.findIndex(c => c.name === name);
+        const neighbour = sorted[index + direction];
+        if (index === -1 || !neighbour) return;
+        const current = sorted[index];
+        setCategories(prev => prev.map(c => {
+            if (c.name === current.name) return { ...c, order: neighbour.order };
+            if (c.name === neighbour.name) return { ...c, order: current.order };
+            return c;
+        }));
+    };
+
+    const removeCategory = (name) => {
+        setCategories(prev => prev.filter(c => c.name !== name));
+    };
+
+    return {
+        categories: sorted,
+        fallbackCategory: getFallbackCategory(categories),
+        hasCategory,
+        addCategory,
+        updateCategory,
+        moveCategory,
+        removeCategory
+    };
+}
@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { RELATIONSHIP_WORDS } from '../utils/dictionaries.js';
+
+const STORAGE_KEY = 'saydone-contacts';
+
+// People the user has confirmed on a task (in the edit form), so the parser
+// recognises them later even when speech recognition doesn't capitalize the name
+export function useContacts() {
+    const [contacts, setContacts] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    });
+
+    // Persist contacts
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(contacts));
+    }, [contacts]);
+
+    // Relationship words ("Mother") are always recognised, so only names are kept
+    const learnContacts = (names) => {
+        setContacts(prev => {
+            const known = new Set(prev.map(name => name.toLowerCase()));
+            const added = names.filter(name => {
+                const key = name.toLowerCase();
+                if (known.has(key) || RELATIONSHIP_WORDS.includes(key)) return false;
+                known.add(key);
+                return true;
+            });
+            return added.length > 0 ? [...prev, ...added] : prev;
+        });
+    };
+
+    const forgetContact = (name) => {
+        setContacts(prev => prev.filter(contact => contact !== name));
+    };
+
+    return { contacts, learnContacts, forgetContact };
+}
@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_DAILY_CAPACITY } from '../utils/estimates.js';
+
+const STORAGE_KEY = 'saydone-daily-capacity';
+
+// Minutes of task work the user expects to fit into one day
+export function useDailyCapacity() {
+    const [capacity, setCapacity] = useState(() => {
+        const saved = parseInt(localStorage.getItem(STORAGE_KEY));
+        return saved > 0 ? saved : DEFAULT_DAILY_CAPACITY;
+    });
+
+    // Persist capacity
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, String(capacity));
+    }, [capacity]);
+
+    return { capacity, setCapacity };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useMemo } from 'react';
+import { resolveDictionaries, serializeDictionaries, validateDictionaries } from '../utils/dictionaries.js';
+
+const STORAGE_KEY = 'saydone-dictionaries';
+
+export function useDictionaries() {
+    // null = user hasn't customised anything, use the built-in defaults
+    const [custom, setCustom] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    });
+
+    // Persist customisations
+    useEffect(() => {
+        if (custom) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+        } else {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }, [custom]);
+
+    const dictionaries = useMemo(() => resolveDictionaries(custom), [custom]);
+
+    const updateSection = (section, value) => {
+        setCustom(prev => ({ ...resolveDictionaries(prev), [section]: value }));
+    };
+
+    const resetDictionaries = () => setCustom(null);
+
+    // Throws if the file isn't a valid dictionary export
+    const importDictionaries = (json) => {
+        const imported = validateDictionaries(JSON.parse(json));
+        setCustom(prev => ({ ...resolveDictionaries(prev), ...imported }));
+    };
+
+    const exportDictionaries = () => serializeDictionaries(custom);
+
+    return {
+        dictionaries,
+        isCustomized: custom !== null,
+        updateSection,
+        resetDictionaries,
+        importDictionaries,
+        exportDictionaries
+    };
+}
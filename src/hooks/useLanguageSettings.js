@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { getLocalePack } from '../utils/locales/index.js';
+import { getDefaultDateOrder, getDefaultWeekStart } from '../utils/dateUtils.js';
+
+const STORAGE_KEY = 'saydone-language';
+
+// dateOrder ('DMY' / 'MDY') and weekStart (0 = Sunday, 1 = Monday) are 'auto'
+// to follow the voice language's region
+const DEFAULT_LANGUAGE = { speechLang: 'en-US', parserLocale: 'en', dateOrder: 'auto', weekStart: 'auto' };
+
+export function useLanguageSettings() {
+    const [language, setLanguage] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? { ...DEFAULT_LANGUAGE, ...JSON.parse(saved) } : DEFAULT_LANGUAGE;
+    });
+
+    // Persist language choice
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(language));
+    }, [language]);
+
+    // Picking a recognition language also switches the parser to its pack;
+    // the parser locale can still be changed separately afterwards
+    const setSpeechLang = (speechLang) => {
+        setLanguage(prev => ({ ...prev, speechLang, parserLocale: getLocalePack(speechLang).code }));
+    };
+
+    const setParserLocale = (parserLocale) => {
+        setLanguage(prev => ({ ...prev, parserLocale }));
+    };
+
+    const setDateOrder = (dateOrder) => {
+        setLanguage(prev => ({ ...prev, dateOrder }));
+    };
+
+    const setWeekStart = (weekStart) => {
+        setLanguage(prev => ({ ...prev, weekStart }));
+    };
+
+    return {
+        speechLang: language.speechLang,
+        parserLocale: language.parserLocale,
+        dateOrder: language.dateOrder,
+        // What the parser should use for "12/03"
+        parserDateOrder: language.dateOrder === 'auto' ? getDefaultDateOrder(language.speechLang) : language.dateOrder,
+        weekStart: language.weekStart,
+        parserWeekStart: language.weekStart === 'auto' ? getDefaultWeekStart(language.speechLang) : language.weekStart,
+        setSpeechLang,
+        setParserLocale,
+        setDateOrder,
+        setWeekStart
+    };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { countExamples, createModel, describeModel, relabelModel, trainModel } from '../utils/learner.js';
+
+const STORAGE_KEY = 'saydone-learner';
+
+export function useLearner() {
+    const [model, setModel] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? { ...createModel(), ...JSON.parse(saved) } : createModel();
+    });
+
+    // Persist what has been learned
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(model));
+    }, [model]);
+
+    // Learn from an edit: only fields the user actually changed are corrections
+    const learnFromEdit = (before, after) => {
+        setModel(prev => {
+            let next = prev;
+            if (after.category && after.category !== before.category) {
+                next = trainModel(next, 'category', after.category, after.description);
+            }
+            if (after.urgency && after.urgency !== before.urgency) {
+                next = trainModel(next, 'urgency', after.urgency, after.description);
+            }
+            return next;
+        });
+    };
+
+    // Keep learned categories in step with renames (to) and deletions (to = null)
+    const relabelCategory = (from, to) => {
+        setModel(prev => relabelModel(prev, 'category', from, to));
+    };
+
+    const resetLearner = () => setModel(createModel());
+
+    return {
+        model,
+        exampleCount: countExamples(model),
+        describe: (field) => describeModel(model, field),
+        learnFromEdit,
+        relabelCategory,
+        resetLearner
+    };
+}
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'saydone-skip-short-preview';
+
+// Whether a short input that parses to one task is added without the preview
+export function usePreviewSettings() {
+    const [skipShortInputs, setSkipShortInputs] = useState(() => localStorage.getItem(STORAGE_KEY) === 'true');
+
+    // Persist setting
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, String(skipShortInputs));
+    }, [skipShortInputs]);
+
+    return { skipShortInputs, setSkipShortInputs };
+}
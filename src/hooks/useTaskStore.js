@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
+import { migrateTasks, parseTaskFile, serializeTasks, toggleTaskComplete } from '../utils/taskList.js';
 
 const STORAGE_KEY = 'saydone-tasks';
 
@@ -6,7 +7,7 @@ export function useTaskStore() {
     // State: { past: [], present: [], future: [] } for Undo/Redo
     const [history, setHistory] = useState(() => {
         const saved = localStorage.getItem(STORAGE_KEY);
-        const initialTasks = saved ? JSON.parse(saved) : [];
+        const initialTasks = saved ? migrateTasks(JSON.parse(saved)) : [];
         return {
             past: [],
             present: initialTasks,
@@ -35,22 +36,42 @@ export function useTaskStore() {
         update([...newTasks, ...history.present]);
     };
 
+    // Add new tasks and change existing ones ({ [id]: changes }) as a single undo step
+    const applyBatch = (added, updates = {}) => {
+        update([...added, ...history.present.map(t => updates[t.id] ? { ...t, ...updates[t.id] } : t)]);
+    };
+
+    // Replace the list with a task file's contents (undoable)
+    const importTasks = (json) => {
+        update(parseTaskFile(json));
+    };
+
+    const exportTasks = () => serializeTasks(history.present);
+
     const removeTask = (id) => {
         update(history.present.filter(t => t.id !== id));
     };
 
     const toggleComplete = (id) => {
-        update(
-            history.present.map(t =>
-                t.id === id ? { ...t, completed: !t.completed, completedAt: !t.completed ? new Date().toISOString() : null } : t
-            )
-        );
+        update(toggleTaskComplete(history.present, id));
+    };
+
+    const toggleSubtask = (id, index) => {
+        update(history.present.map(t => t.id === id
+            ? { ...t, subtasks: t.subtasks.map((subtask, i) => i === index ? { ...subtask, completed: !subtask.completed } : subtask) }
+            : t));
     };
 
     const editTask = (id, updates) => {
         update(history.present.map(t => t.id === id ? { ...t, ...updates } : t));
     };
 
+    // Move every task in one category to another (category renamed or deleted)
+    const reassignCategory = (from, to) => {
+        if (!history.present.some(t => t.category === from)) return;
+        update(history.present.map(t => t.category === from ? { ...t, category: to } : t));
+    };
+
     const undo = () => {
         setHistory(curr => {
             if (curr.past.length === 0) return curr;
@@ -80,9 +101,14 @@ export function useTaskStore() {
     return {
         tasks: history.present,
         addTask,
+        applyBatch,
+        importTasks,
+        exportTasks,
         removeTask,
         toggleComplete,
+        toggleSubtask,
         editTask,
+        reassignCategory,
         undo,
         redo,
         canUndo: history.past.length > 0,
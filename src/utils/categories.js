@@ -0,0 +1,41 @@
+/**
+ * categories.js
+ *
+ * User-defined task categories. Keywords for each category live in the
+ * parser dictionaries (dictionaries.category[name]); this module covers
+ * the display side: name, colour and section order.
+ *
+ * Category shape: { name, color, order }
+ */
+
+export const DEFAULT_CATEGORIES = [
+    { name: 'Work', color: '#0369a1', order: 0 },
+    { name: 'Home', color: '#be185d', order: 1 }
+];
+
+// Colours offered for new categories
+export const CATEGORY_COLORS = ['#0369a1', '#be185d', '#15803d', '#b45309', '#7c3aed', '#0f766e', '#b91c1c', '#4b5563'];
+
+/**
+ * Categories sorted by their section order
+ */
+export const sortCategories = (categories) => [...categories].sort((a, b) => a.order - b.order);
+
+/**
+ * Where tasks go when their category is missing or deleted:
+ * Home if it still exists, otherwise the first category in order.
+ */
+export const getFallbackCategory = (categories, excluding = null) => {
+    const remaining = sortCategories(categories).filter(c => c.name !== excluding);
+    if (remaining.some(c => c.name === 'Home')) return 'Home';
+    return remaining.length > 0 ? remaining[0].name : 'Home';
+};
+
+/**
+ * Badge colours for a category: tinted background, full-strength text
+ */
+export const getCategoryStyle = (categories, name) => {
+    const category = categories.find(c => c.name === name);
+    const color = category ? category.color : '#6b7280';
+    return { backgroundColor: `${color}1f`, color };
+};
@@ -0,0 +1,45 @@
+/**
+ * confidence.js
+ *
+ * How sure the parser was about each field it filled in, and which tasks
+ * should be looked over. A field's confidence is { score: 0-1, reason }.
+ */
+
+// Fields scoring below this flag the task for review
+export const REVIEW_THRESHOLD = 0.6;
+
+export const CONFIDENCE_FIELDS = ['description', 'dueDate', 'category', 'urgency'];
+
+export const FIELD_LABELS = {
+    description: 'Description',
+    dueDate: 'Date',
+    category: 'Category',
+    urgency: 'Priority'
+};
+
+/**
+ * A field's confidence, rounded for storage
+ */
+export const rate = (score, reason) => ({ score: Math.round(score * 100) / 100, reason });
+
+/**
+ * Fields of `task` that are unsure enough to be looked over
+ */
+export const reviewFields = (task) => CONFIDENCE_FIELDS.filter(field => {
+    const entry = task.confidence && task.confidence[field];
+    return entry && entry.score < REVIEW_THRESHOLD;
+});
+
+export const needsReview = (confidence) =>
+    CONFIDENCE_FIELDS.some(field => confidence[field] && confidence[field].score < REVIEW_THRESHOLD);
+
+/**
+ * Changes marking `fields` as checked by the user
+ */
+export const confirmFields = (task, fields) => {
+    const confidence = { ...task.confidence };
+    fields.forEach(field => {
+        confidence[field] = rate(1, 'Confirmed');
+    });
+    return { confidence, needsReview: needsReview(confidence) };
+};
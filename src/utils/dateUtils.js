@@ -0,0 +1,128 @@
+/**
+ * dateUtils.js
+ *
+ * Helpers for the ISO (YYYY-MM-DD) due dates stored on tasks.
+ * Dates are calendar days in local time; display formatting happens only at render time.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LEGACY_DATE_REGEX = /^(\d{1,2})-([A-Za-z]{3})$/;
+
+/**
+ * Format a Date as YYYY-MM-DD (local calendar day)
+ */
+export const toISODate = (date) => {
+    if (!date) return null;
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse YYYY-MM-DD into a local-midnight Date, or null
+ */
+export const parseISODate = (isoDate) => {
+    const match = ISO_DATE_REGEX.exec(isoDate || '');
+    if (!match) return null;
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+};
+
+/**
+ * Display format: "03-Jan", with the year appended when it isn't the current one
+ */
+export const formatDisplayDate = (isoDate, now = new Date()) => {
+    const date = parseISODate(isoDate);
+    if (!date) return 'Not specified';
+    const day = String(date.getDate()).padStart(2, '0');
+    const label = `${day}-${MONTHS[date.getMonth()]}`;
+    return date.getFullYear() === now.getFullYear() ? label : `${label}-${date.getFullYear()}`;
+};
+
+/**
+ * Convert a legacy stored due date ("03-Jan" or "Not specified") to ISO.
+ * The parser only ever produced dates on or after the day a task was created,
+ * so the year is the first one that puts the date on or after `createdAt`.
+ */
+export const migrateLegacyDate = (dueDate, createdAt = new Date()) => {
+    if (!dueDate || ISO_DATE_REGEX.test(dueDate)) return dueDate || null;
+
+    const match = LEGACY_DATE_REGEX.exec(dueDate);
+    if (!match) return null;
+    const monthIndex = MONTHS.findIndex(m => m.toLowerCase() === match[2].toLowerCase());
+    if (monthIndex === -1) return null;
+
+    const reference = new Date(createdAt);
+    reference.setHours(0, 0, 0, 0);
+    const date = new Date(reference.getFullYear(), monthIndex, parseInt(match[1]));
+    if (date < reference) date.setFullYear(date.getFullYear() + 1);
+    return toISODate(date);
+};
+
+/**
+ * Wall-clock time in `timeZone` as a local Date, so local getters
+ * (getDate, getHours, ...) read that zone's calendar. Without a zone, a plain copy.
+ */
+export const toZonedWallClock = (date, timeZone) => {
+    if (!timeZone) return new Date(date);
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value);
+    return new Date(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+};
+
+// Regions that write numeric dates month-first (12/03 = December 3rd)
+const MONTH_FIRST_REGIONS = ['US', 'PH', 'FM', 'MH', 'PW'];
+
+/**
+ * Numeric date order ('DMY' or 'MDY') conventional for a locale like "en-US"
+ */
+export const getDefaultDateOrder = (locale) => {
+    const region = String(locale || '').split(/[-_]/)[1];
+    return region && MONTH_FIRST_REGIONS.includes(region.toUpperCase()) ? 'MDY' : 'DMY';
+};
+
+/**
+ * Local Date for a calendar day, or null when it doesn't exist (31-Feb, month 13)
+ */
+export const createCalendarDate = (year, monthIndex, day) => {
+    if (monthIndex < 0 || monthIndex > 11 || day < 1) return null;
+    const date = new Date(year, monthIndex, day);
+    return date.getMonth() === monthIndex ? date : null;
+};
+
+/**
+ * Shift a date by whole calendar months, clamping to the last day when the
+ * target month is shorter (31 Jan + 1 month = 28/29 Feb)
+ */
+export const addCalendarMonths = (date, months) => {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+// Regions whose calendars start the week on Sunday; elsewhere Monday
+const SUNDAY_FIRST_REGIONS = ['US', 'CA', 'MX', 'BR', 'JP', 'KR', 'TW', 'HK', 'PH', 'IL', 'IN', 'ZA'];
+
+/**
+ * First day of the week (0 = Sunday, 1 = Monday) conventional for a locale like "en-US"
+ */
+export const getDefaultWeekStart = (locale) => {
+    const region = String(locale || '').split(/[-_]/)[1];
+    return region && SUNDAY_FIRST_REGIONS.includes(region.toUpperCase()) ? 0 : 1;
+};
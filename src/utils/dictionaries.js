@@ -0,0 +1,231 @@
+/**
+ * dictionaries.js
+ *
+ * Keyword dictionaries used by the parser, plus helpers to merge in,
+ * validate and share user-edited versions.
+ *
+ * Shape: {
+ *   priority:   { URGENT: [keyword], HIGH: [keyword], LOW: [keyword] },
+ *   category:   { [categoryName]: [keyword | { keyword, weight }] },
+ *   expansions: { [shortForm]: expanded },
+ *   fillers:    [phrase],
+ *   protectedPhrases: [phrase]   never split into separate tasks
+ * }
+ */
+
+export const DICTIONARY_FILE_VERSION = 1;
+
+export const PRIORITY_LEVELS = ['URGENT', 'HIGH', 'LOW'];
+
+// Priority keyword dictionaries
+const PRIORITY_KEYWORDS = {
+    URGENT: ['urgent', 'asap', 'immediately', 'critical', 'high priority', 'must do', 'critical issue'],
+    HIGH: ['important', 'tonight', 'today', 'urgent', 'before it\'s', 'overdue', 'deadline', 'by end of day', 'eod'],
+    LOW: ['whenever', 'low priority', 'maybe', 'sometime', 'eventually']
+};
+
+// Category keyword dictionaries - expanded based on examples
+const CATEGORY_KEYWORDS = {
+    Work: ['email', 'meeting', 'call', 'presentation', 'boss', 'client', 'code',
+        'budget', 'slide', 'project', 'deadline', 'report', 'office', 'business',
+        'interview', 'hire', 'deploy', 'patch', 'bug', 'production', 'expense', 'agenda',
+        'slides', 'client meeting', 'work', 'conference', 'presentation'],
+    Home: ['mom', 'dad', 'mother', 'father', 'gym', 'groceries', 'kids', 'dinner', 'party', 'doctor',
+        'family', 'wife', 'husband', 'son', 'daughter', 'parent', 'brother', 'sister',
+        'laundry', 'clean', 'cook', 'bank', 'bill', 'medicine', 'workout', 'trip', 'vacation',
+        'home', 'house', 'driving license', 'credit card', 'blood pressure', 'appointment',
+        'mom', 'airport', 'cab', 'electricity', 'workspace', 'resume']
+};
+
+// Word expansions for better parsing
+const WORD_EXPANSIONS = {
+    'mom': 'mother',
+    'dad': 'father',
+    'tmw': 'tomorrow'
+};
+
+// Filler words/phrases to remove during normalization
+const FILLER_PHRASES = [
+    'there is a need to',
+    'there\'s a need to',
+    'there is need to',
+    'i need to',
+    'i have to',
+    'i want to',
+    'i should',
+    'we need to',
+    'we have to',
+    'we should',
+    'i\'ll',
+    'i will',
+    'we\'ll',
+    'we will',
+    'don\'t forget to',
+    'remember to',
+    'please',
+    'remind me to',
+    'can you',
+    'could you'
+];
+
+// Phrases whose "and" joins one thing rather than two tasks
+const PROTECTED_PHRASES = [
+    'salt and pepper',
+    'mother and father',
+    'mom and dad',
+    'bread and butter',
+    'fish and chips',
+    'mac and cheese',
+    'peanut butter and jelly',
+    'pros and cons',
+    'terms and conditions',
+    'black and white',
+    'research and development',
+    'q and a',
+    'r and d',
+    'bed and breakfast',
+    'health and safety',
+    'profit and loss',
+    'arts and crafts',
+    'rock and roll',
+    'copy and paste',
+    'cut and paste',
+    'drag and drop',
+    'pick and drop',
+    'search and replace',
+    'meet and greet',
+    'wash and fold',
+    'back and forth',
+    'up and running'
+];
+
+// Words that name a person by relationship; tasks mentioning them list that person
+export const RELATIONSHIP_WORDS = [
+    'mother', 'father', 'mom', 'dad', 'wife', 'husband', 'son', 'daughter', 'brother', 'sister',
+    'grandma', 'grandpa', 'grandmother', 'grandfather', 'aunt', 'uncle', 'cousin', 'parents',
+    'boss', 'manager', 'client', 'landlord', 'doctor', 'dentist', 'accountant', 'plumber'
+];
+
+// Places a task can be tied to: context name -> words for it ("at the chemist" -> pharmacy)
+export const CONTEXT_PLACES = {
+    shops: ['grocery store', 'supermarket', 'store', 'shops', 'shop', 'market', 'mall'],
+    bank: ['bank', 'atm'],
+    pharmacy: ['pharmacy', 'chemist', 'drugstore'],
+    'post office': ['post office'],
+    airport: ['airport'],
+    station: ['train station', 'station'],
+    office: ['office', 'work'],
+    home: ['home', 'house'],
+    gym: ['gym'],
+    doctor: ['doctor\'s', 'clinic', 'hospital'],
+    school: ['school'],
+    library: ['library']
+};
+
+// Errands that imply a place even when none is named ("buy groceries" -> shops)
+export const CONTEXT_ERRANDS = {
+    shops: ['groceries', 'grocery'],
+    pharmacy: ['medicine', 'prescription'],
+    bank: ['cash', 'deposit', 'cheque'],
+    'post office': ['parcel', 'stamps']
+};
+
+export const DEFAULT_DICTIONARIES = {
+    priority: PRIORITY_KEYWORDS,
+    category: CATEGORY_KEYWORDS,
+    expansions: WORD_EXPANSIONS,
+    fillers: FILLER_PHRASES,
+    protectedPhrases: PROTECTED_PHRASES
+};
+
+/**
+ * Keyword text of a dictionary entry (plain string or { keyword, weight })
+ */
+export const keywordOf = (entry) => (typeof entry === 'string' ? entry : entry.keyword);
+
+/**
+ * Scoring weight of a dictionary entry; plain strings count once
+ */
+export const weightOf = (entry) => (typeof entry === 'string' ? 1 : Number(entry.weight) || 1);
+
+/**
+ * Fill any section missing from `custom` with the defaults
+ */
+export const resolveDictionaries = (custom) => {
+    if (!custom) return DEFAULT_DICTIONARIES;
+    return {
+        priority: custom.priority || DEFAULT_DICTIONARIES.priority,
+        category: custom.category || DEFAULT_DICTIONARIES.category,
+        expansions: custom.expansions || DEFAULT_DICTIONARIES.expansions,
+        fillers: custom.fillers || DEFAULT_DICTIONARIES.fillers,
+        protectedPhrases: custom.protectedPhrases || DEFAULT_DICTIONARIES.protectedPhrases
+    };
+};
+
+const cleanKeyword = (value) => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate and tidy an imported dictionary file.
+ * Throws an Error describing the first problem found.
+ */
+export const validateDictionaries = (raw) => {
+    if (!isPlainObject(raw)) throw new Error('Dictionary file must contain a JSON object.');
+    if (raw.version !== undefined && raw.version > DICTIONARY_FILE_VERSION) {
+        throw new Error(`Dictionary file version ${raw.version} is newer than this app supports.`);
+    }
+
+    const result = {};
+
+    if (raw.priority !== undefined) {
+        if (!isPlainObject(raw.priority)) throw new Error('"priority" must be an object of keyword lists.');
+        result.priority = {};
+        PRIORITY_LEVELS.forEach(level => {
+            const keywords = raw.priority[level] || [];
+            if (!Array.isArray(keywords)) throw new Error(`"priority.${level}" must be a list.`);
+            result.priority[level] = keywords.map(cleanKeyword).filter(Boolean);
+        });
+    }
+
+    if (raw.category !== undefined) {
+        if (!isPlainObject(raw.category)) throw new Error('"category" must be an object of keyword lists.');
+        result.category = {};
+        Object.entries(raw.category).forEach(([name, keywords]) => {
+            if (!Array.isArray(keywords)) throw new Error(`"category.${name}" must be a list.`);
+            result.category[name] = keywords
+                .map(entry => (typeof entry === 'string'
+                    ? cleanKeyword(entry)
+                    : { keyword: cleanKeyword(keywordOf(entry) || ''), weight: weightOf(entry) }))
+                .filter(entry => keywordOf(entry));
+        });
+    }
+
+    if (raw.expansions !== undefined) {
+        if (!isPlainObject(raw.expansions)) throw new Error('"expansions" must map short forms to words.');
+        result.expansions = {};
+        Object.entries(raw.expansions).forEach(([shortForm, expanded]) => {
+            if (cleanKeyword(shortForm) && String(expanded).trim()) {
+                result.expansions[cleanKeyword(shortForm)] = String(expanded).trim();
+            }
+        });
+    }
+
+    if (raw.fillers !== undefined) {
+        if (!Array.isArray(raw.fillers)) throw new Error('"fillers" must be a list of phrases.');
+        result.fillers = raw.fillers.map(cleanKeyword).filter(Boolean);
+    }
+
+    if (raw.protectedPhrases !== undefined) {
+        if (!Array.isArray(raw.protectedPhrases)) throw new Error('"protectedPhrases" must be a list of phrases.');
+        result.protectedPhrases = raw.protectedPhrases.map(cleanKeyword).filter(Boolean);
+    }
+
+    return result;
+};
+
+/**
+ * JSON payload for sharing a vocabulary between users
+ */
+export const serializeDictionaries = (dictionaries) =>
+    JSON.stringify({ version: DICTIONARY_FILE_VERSION, ...resolveDictionaries(dictionaries) }, null, 2);
@@ -0,0 +1,85 @@
+/**
+ * duplicates.js
+ *
+ * Spot new tasks that repeat an open one ("call the bank about credit card"
+ * dictated twice) and combine them.
+ */
+import { tokenize } from './learner.js';
+import { withDates } from './taskDates.js';
+
+// Score at which a new task counts as a repeat of an open one
+export const DUPLICATE_THRESHOLD = 0.75;
+
+const URGENCY_RANK = { High: 0, Medium: 1, Low: 2 };
+
+/**
+ * Word overlap of two descriptions (Jaccard index, 0-1)
+ */
+export const descriptionSimilarity = (a, b) => {
+    const tokensA = new Set(tokenize(a));
+    const tokensB = new Set(tokenize(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+/**
+ * How likely `incoming` repeats `existing`: word overlap, nudged up when
+ * the due date and category agree
+ */
+export const duplicateScore = (incoming, existing) => {
+    let score = descriptionSimilarity(incoming.description, existing.description);
+    if (score === 0) return 0;
+    if (incoming.dueDate === existing.dueDate) score += 0.15;
+    if (incoming.category === existing.category) score += 0.1;
+    return Math.min(1, score);
+};
+
+/**
+ * For each new task, its closest open task above the threshold:
+ * [{ index, existing, score }] (index into `newTasks`)
+ */
+export const findDuplicates = (newTasks, tasks) => {
+    const open = tasks.filter(task => !task.completed);
+    return newTasks.flatMap((incoming, index) => {
+        const best = open.reduce((found, existing) => {
+            const score = duplicateScore(incoming, existing);
+            return score > (found ? found.score : 0) ? { existing, score } : found;
+        }, null);
+        return best && best.score >= DUPLICATE_THRESHOLD ? [{ index, ...best }] : [];
+    });
+};
+
+const unionBy = (a = [], b = [], key) => {
+    const seen = new Set(a.map(key));
+    return [...a, ...b.filter(item => !seen.has(key(item)))];
+};
+
+/**
+ * Changes that fold `incoming` into `existing`: gaps filled from the new
+ * task, the more urgent priority and the earlier deadline win, lists combined
+ */
+export const mergeTasks = (existing, incoming) => {
+    const deadline = [existing.deadline, incoming.deadline].filter(Boolean).sort()[0] || null;
+    const dates = withDates(existing.scheduledDate || incoming.scheduledDate, deadline);
+    return {
+        ...dates,
+        dueTime: dates.dueDate === existing.dueDate ? (existing.dueTime || incoming.dueTime || null) : incoming.dueTime,
+        urgency: URGENCY_RANK[incoming.urgency] < URGENCY_RANK[existing.urgency] ? incoming.urgency : existing.urgency,
+        recurrence: existing.recurrence || incoming.recurrence || null,
+        estimate: existing.estimate || incoming.estimate || null,
+        context: existing.context || incoming.context || null,
+        people: unionBy(existing.people, incoming.people, name => name.toLowerCase()),
+        tags: unionBy(existing.tags, incoming.tags, tag => tag),
+        subtasks: unionBy(existing.subtasks, incoming.subtasks, subtask => subtask.text.toLowerCase())
+    };
+};
+
+/**
+ * Changes that move `existing` to the new task's dates and priority
+ */
+export const updateFromTask = (incoming) => ({
+    ...withDates(incoming.scheduledDate, incoming.deadline),
+    dueTime: incoming.dueTime,
+    urgency: incoming.urgency
+});
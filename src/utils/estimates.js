@@ -0,0 +1,84 @@
+/**
+ * estimates.js
+ *
+ * Effort estimates (task.estimate, in minutes) and the time-budget
+ * summaries built from them.
+ */
+
+export const DEFAULT_DAILY_CAPACITY = 8 * 60;
+
+/**
+ * "45m", "2h", "1h 30m"
+ */
+export const formatEstimate = (minutes) => {
+    if (!minutes) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+/**
+ * Parse an edit-form estimate ("90", "1h30", "1.5h", "45m") into minutes, or null
+ */
+export const parseEstimateInput = (value) => {
+    const text = String(value || '').toLowerCase().replace(/\s+/g, '');
+    if (!text) return null;
+
+    const match = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m?)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const minutes = Math.round((match[1] ? parseFloat(match[1]) * 60 : 0) + (match[2] ? parseInt(match[2]) : 0));
+    return minutes > 0 ? minutes : null;
+};
+
+/**
+ * Open, estimated tasks summed per scheduled day and per category. Tasks
+ * with only a deadline can be done any day before it, so they're summed
+ * per deadline instead of filling up that day.
+ * Returns {
+ *   days: [{ dueDate, total, byCategory: { [name]: minutes }, tasks }]   sorted by date, undated last
+ *   deadlines: [{ deadline, total, tasks }]   sorted by deadline
+ *   byCategory: { [name]: minutes },
+ *   unestimated: number of open tasks without an estimate
+ * }
+ */
+export const summarizeBudget = (tasks) => {
+    const days = {};
+    const deadlines = {};
+    const byCategory = {};
+    let unestimated = 0;
+
+    tasks.filter(task => !task.completed).forEach(task => {
+        if (!task.estimate) {
+            unestimated++;
+            return;
+        }
+
+        byCategory[task.category] = (byCategory[task.category] || 0) + task.estimate;
+
+        if (task.deadline && !task.scheduledDate) {
+            if (!deadlines[task.deadline]) deadlines[task.deadline] = { deadline: task.deadline, total: 0, tasks: [] };
+            deadlines[task.deadline].total += task.estimate;
+            deadlines[task.deadline].tasks.push(task);
+            return;
+        }
+
+        const key = task.scheduledDate || '';
+        if (!days[key]) days[key] = { dueDate: task.scheduledDate || null, total: 0, byCategory: {}, tasks: [] };
+        const day = days[key];
+        day.total += task.estimate;
+        day.byCategory[task.category] = (day.byCategory[task.category] || 0) + task.estimate;
+        day.tasks.push(task);
+    });
+
+    const sortedDays = Object.values(days).sort((a, b) => {
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return a.dueDate.localeCompare(b.dueDate);
+    });
+
+    const sortedDeadlines = Object.values(deadlines).sort((a, b) => a.deadline.localeCompare(b.deadline));
+
+    return { days: sortedDays, deadlines: sortedDeadlines, byCategory, unestimated };
+};
@@ -0,0 +1,144 @@
+/**
+ * intents.js
+ *
+ * Spoken commands that act on tasks already on the list ("mark groceries
+ * done", "move the budget report to Friday") rather than adding new ones.
+ */
+import parseTasks from './taskParser.js';
+import { tokenize } from './learner.js';
+import { moveTaskDate } from './taskDates.js';
+
+// Share of the spoken words a task must contain to be picked
+export const MATCH_THRESHOLD = 0.5;
+
+const DONE_WORDS = '(?:done|complete|completed|finished)';
+
+const PRIORITY_WORDS = [
+    { pattern: /^(?:urgent|important|high(?: priority)?|a priority|top priority|asap)$/i, urgency: 'High' },
+    { pattern: /^(?:normal|medium(?: priority)?|normal priority)$/i, urgency: 'Medium' },
+    { pattern: /^(?:low(?: priority)?|not urgent|less urgent|unimportant)$/i, urgency: 'Low' }
+];
+
+const PRIORITY_PHRASES = 'urgent|important|high(?: priority)?|a priority|top priority|asap|normal(?: priority)?|medium(?: priority)?|low(?: priority)?|not urgent|less urgent|unimportant';
+
+// "the dentist task", "dentist from my list": the words point at a task already on the list
+const TASK_REFERENCE_REGEX = /\s+(?:task|item|to-?do)$|\s+(?:from|off)\s+(?:my|the)\s+(?:to-?do\s+)?list$/i;
+
+// Checked in order; the first pattern that matches decides the action
+const COMMANDS = [
+    { action: 'complete', regex: new RegExp(`^(?:mark|tick|check)\\s+(?:off\\s+)?(.+?)\\s+(?:as\\s+)?${DONE_WORDS}$`, 'i') },
+    { action: 'complete', regex: /^(?:tick|check|cross)\s+off\s+(.+)$/i },
+    { action: 'complete', regex: new RegExp(`^(?:i(?:'ve| have)?\\s+)?(?:finished|completed|done with)\\s+(.+)$`, 'i') },
+    { action: 'complete', regex: new RegExp(`^(.+?)\\s+is\\s+${DONE_WORDS}$`, 'i') },
+    { action: 'delete', regex: /^(?:delete|remove|forget about|scrap)\s+(.+)$/i },
+    // "cancel the plumber" or "drop off the kids" are usually new tasks, so these need "... task" or "... from my list"
+    { action: 'delete', regex: /^(?:cancel|drop)\s+(?!(?:off|by|in|out|round|over)\b)(.+)$/i, needsReference: true },
+    { action: 'reschedule', regex: /^(?:move|reschedule|push|postpone|shift|put off)\s+(.+?)\s+(?:to|until|till|for|back to)\s+(.+)$/i },
+    { action: 'reprioritise', regex: new RegExp(`^(?:make|mark|set)\\s+(.+?)\\s+(?:as\\s+|to\\s+)?(${PRIORITY_PHRASES})$`, 'i') },
+    { action: 'reprioritise', regex: /^(?:prioriti[sz]e|raise|bump(?: up)?)\s+(.+)$/i, urgency: 'High' },
+    { action: 'reprioritise', regex: /^(?:deprioriti[sz]e|lower)\s+(.+)$/i, urgency: 'Low' }
+];
+
+/**
+ * "the dentist task" -> "dentist", "dentist from my list" -> "dentist"
+ */
+const cleanQuery = (text) => text
+    .replace(/\s+(?:from|off)\s+(?:my|the)\s+(?:to-?do\s+)?list$/i, '')
+    .replace(/^(?:the|my|that|this)\s+/i, '')
+    .replace(/\s+(?:task|item|one|to-?do)$/i, '')
+    .trim();
+
+const urgencyOf = (text) => {
+    const found = PRIORITY_WORDS.find(({ pattern }) => pattern.test(text.trim()));
+    return found ? found.urgency : null;
+};
+
+/**
+ * Words match when equal or when they share most of a stem
+ * ("grocery" / "groceries"), which also absorbs small recognition slips
+ */
+const tokensMatch = (a, b) => {
+    if (a === b) return true;
+    const shorter = Math.min(a.length, b.length);
+    if (shorter < 4) return false;
+    let common = 0;
+    while (common < shorter && a[common] === b[common]) common++;
+    return common >= 4 && common >= shorter - 2;
+};
+
+/**
+ * How well `query` picks out `task`: the share of spoken words found in
+ * the description, with the description's length as a tie-breaker
+ */
+export const matchScore = (query, task) => {
+    const queryTokens = tokenize(query);
+    const taskTokens = tokenize(task.description);
+    if (queryTokens.length === 0 || taskTokens.length === 0) return 0;
+    const found = queryTokens.filter(token => taskTokens.some(other => tokensMatch(token, other))).length;
+    return found / queryTokens.length - taskTokens.length * 0.001;
+};
+
+/**
+ * The task `query` most likely refers to; open tasks are preferred
+ */
+export const findTask = (query, tasks) => {
+    const rank = (pool) => pool.reduce((best, task) => {
+        const score = matchScore(query, task);
+        return score > (best ? best.score : 0) ? { task, score } : best;
+    }, null);
+    const best = rank(tasks.filter(task => !task.completed)) || rank(tasks.filter(task => task.completed));
+    return best && best.score >= MATCH_THRESHOLD ? best.task : null;
+};
+
+/**
+ * Read a command from spoken text.
+ * Returns { action, query, changes } or null when it isn't a command.
+ * Options are passed to the parser to read reschedule targets.
+ */
+export const parseCommand = (text, options = {}) => {
+    const spoken = text.trim().replace(/[.!?]+$/, '');
+
+    for (const { action, regex, urgency, needsReference } of COMMANDS) {
+        const match = spoken.match(regex);
+        if (!match) continue;
+        if (needsReference && !TASK_REFERENCE_REGEX.test(match[1])) continue;
+        const query = cleanQuery(match[1]);
+        if (!query) continue;
+
+        if (action === 'complete') return { action, query, changes: { completed: true } };
+        if (action === 'delete') {
+            // A date or time ("remove the stain tomorrow") makes it a new task to schedule
+            const [tail] = parseTasks(match[1], options);
+            if (tail && (tail.dueDate || tail.dueTime)) continue;
+            return { action, query, changes: null };
+        }
+
+        if (action === 'reschedule') {
+            const [target] = parseTasks(match[2], options);
+            if (!target || !target.dueDate) continue;
+            return { action, query, changes: { dueDate: target.dueDate, dueTime: target.dueTime } };
+        }
+
+        const level = urgency || urgencyOf(match[2]);
+        if (level) return { action, query, changes: { urgency: level } };
+    }
+    return null;
+};
+
+/**
+ * A command together with the task it resolves to, or null when the text
+ * isn't a command or no task matches (so it can be added as a new task).
+ * Rescheduling moves the task's deadline when that's its only date, and
+ * keeps its time unless a new one was said.
+ */
+export const resolveCommand = (text, tasks, options = {}) => {
+    const command = parseCommand(text, options);
+    if (!command) return null;
+    const task = findTask(command.query, tasks);
+    if (!task) return null;
+    if (command.action === 'reschedule') {
+        const { dueDate, dueTime } = command.changes;
+        return { ...command, task, changes: { ...moveTaskDate(task, dueDate), dueTime: dueTime || task.dueTime || null } };
+    }
+    return { ...command, task };
+};
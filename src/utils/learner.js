@@ -0,0 +1,163 @@
+/**
+ * learner.js
+ *
+ * On-device naive Bayes classifier that learns categories and urgency from
+ * the user's corrections in the edit form. The parser adds its prediction
+ * to the keyword score (see extractCategory / extractPriority).
+ *
+ * Model shape: {
+ *   version,
+ *   category: { examples: { [label]: n }, tokens: { [label]: { [token]: n } } },
+ *   urgency:  { examples: { [label]: n }, tokens: { [label]: { [token]: n } } }
+ * }
+ */
+
+export const LEARNER_VERSION = 1;
+
+export const LEARNED_FIELDS = ['category', 'urgency'];
+
+// Predictions are ignored until a field has this many corrections
+const MIN_EXAMPLES = 2;
+
+// Words that say nothing about a task's category or urgency
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'to', 'for', 'of', 'on', 'in', 'at', 'by', 'with', 'from',
+    'my', 'our', 'your', 'me', 'us', 'it', 'this', 'that', 'some', 'up', 'out', 'about'
+]);
+
+const emptyField = () => ({ examples: {}, tokens: {} });
+
+export const createModel = () => ({
+    version: LEARNER_VERSION,
+    category: emptyField(),
+    urgency: emptyField()
+});
+
+/**
+ * Lowercase word tokens of a description, minus stopwords and numbers
+ */
+export const tokenize = (text) =>
+    Array.from(new Set(String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}']+/u)
+        .map(token => token.replace(/^'+|'+$/g, ''))
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))));
+
+/**
+ * Record one corrected example. Returns a new model.
+ */
+export const trainModel = (model, field, label, description) => {
+    const tokens = tokenize(description);
+    if (!label || tokens.length === 0) return model;
+
+    const current = model[field] || emptyField();
+    const labelTokens = { ...(current.tokens[label] || {}) };
+    tokens.forEach(token => {
+        labelTokens[token] = (labelTokens[token] || 0) + 1;
+    });
+
+    return {
+        ...model,
+        [field]: {
+            examples: { ...current.examples, [label]: (current.examples[label] || 0) + 1 },
+            tokens: { ...current.tokens, [label]: labelTokens }
+        }
+    };
+};
+
+/**
+ * Move everything learned for one label to another (category renamed),
+ * or drop it when `to` is null (category deleted). Returns a new model.
+ */
+export const relabelModel = (model, field, from, to) => {
+    const current = model[field] || emptyField();
+    if (!current.examples[from]) return model;
+
+    const examples = { ...current.examples };
+    const tokens = { ...current.tokens };
+    const fromTokens = tokens[from] || {};
+    delete examples[from];
+    delete tokens[from];
+
+    if (to) {
+        examples[to] = (examples[to] || 0) + current.examples[from];
+        const toTokens = { ...(tokens[to] || {}) };
+        Object.entries(fromTokens).forEach(([token, count]) => {
+            toTokens[token] = (toTokens[token] || 0) + count;
+        });
+        tokens[to] = toTokens;
+    }
+
+    return { ...model, [field]: { examples, tokens } };
+};
+
+/**
+ * Probability of each label for a description, or null when the model
+ * hasn't seen enough corrections or knows none of the description's words.
+ * Only `labels` are considered (e.g. categories that still exist).
+ */
+export const classify = (model, field, text, labels) => {
+    const current = model && model[field];
+    if (!current) return null;
+
+    const candidates = labels.filter(label => current.examples[label]);
+    const totalExamples = candidates.reduce((sum, label) => sum + current.examples[label], 0);
+    if (candidates.length === 0 || totalExamples < MIN_EXAMPLES) return null;
+
+    const vocabulary = new Set();
+    candidates.forEach(label => Object.keys(current.tokens[label] || {}).forEach(token => vocabulary.add(token)));
+    const known = tokenize(text).filter(token => vocabulary.has(token));
+    if (known.length === 0) return null;
+
+    // Multinomial naive Bayes with add-one smoothing, in log space
+    const logScores = {};
+    labels.forEach(label => {
+        const examples = current.examples[label] || 0;
+        const counts = current.tokens[label] || {};
+        const tokenTotal = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        let score = Math.log((examples + 1) / (totalExamples + labels.length));
+        known.forEach(token => {
+            score += Math.log(((counts[token] || 0) + 1) / (tokenTotal + vocabulary.size));
+        });
+        logScores[label] = score;
+    });
+
+    const max = Math.max(...Object.values(logScores));
+    const exps = Object.fromEntries(Object.entries(logScores).map(([label, score]) => [label, Math.exp(score - max)]));
+    const sum = Object.values(exps).reduce((total, value) => total + value, 0);
+    return Object.fromEntries(Object.entries(exps).map(([label, value]) => [label, value / sum]));
+};
+
+/**
+ * What the model has learned, for the settings panel:
+ * [{ label, examples, words: [most telling words] }]
+ */
+export const describeModel = (model, field, limit = 8) => {
+    const current = (model && model[field]) || emptyField();
+    const labels = Object.keys(current.examples);
+
+    return labels.map(label => {
+        const counts = current.tokens[label] || {};
+        // A word is telling when it shows up for this label more than for the others
+        const words = Object.entries(counts)
+            .map(([token, count]) => {
+                const elsewhere = labels
+                    .filter(other => other !== label)
+                    .reduce((sum, other) => sum + ((current.tokens[other] || {})[token] || 0), 0);
+                return { token, weight: count - elsewhere };
+            })
+            .filter(word => word.weight > 0)
+            .sort((a, b) => b.weight - a.weight || a.token.localeCompare(b.token))
+            .slice(0, limit)
+            .map(word => word.token);
+
+        return { label, examples: current.examples[label], words };
+    });
+};
+
+/**
+ * Number of corrections learned across all fields
+ */
+export const countExamples = (model) =>
+    LEARNED_FIELDS.reduce((total, field) =>
+        total + Object.values(((model && model[field]) || emptyField()).examples).reduce((sum, n) => sum + n, 0), 0);
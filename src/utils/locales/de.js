@@ -0,0 +1,109 @@
+/**
+ * German (Deutsch)
+ */
+const WEEKDAYS = {
+    'montag': 'monday',
+    'dienstag': 'tuesday',
+    'mittwoch': 'wednesday',
+    'donnerstag': 'thursday',
+    'freitag': 'friday',
+    'samstag': 'saturday',
+    'sonnabend': 'saturday',
+    'sonntag': 'sunday'
+};
+
+const MONTHS = {
+    'januar': 'january',
+    'februar': 'february',
+    'märz': 'march',
+    'april': 'april',
+    'mai': 'may',
+    'juni': 'june',
+    'juli': 'july',
+    'august': 'august',
+    'september': 'september',
+    'oktober': 'october',
+    'november': 'november',
+    'dezember': 'december'
+};
+
+// "am Montag" -> "on monday" ("am" would otherwise read as a.m.)
+const ON_WEEKDAYS = Object.fromEntries(
+    Object.entries(WEEKDAYS).map(([day, english]) => [`am ${day}`, `on ${english}`])
+);
+
+export default {
+    code: 'de',
+    name: 'Deutsch',
+    speechLang: 'de-DE',
+    phrases: {
+        ...ON_WEEKDAYS,
+        ...WEEKDAYS,
+        ...MONTHS,
+        'übermorgen': 'in next 2 days',
+        'heute morgen': 'this morning',
+        'heute abend': 'tonight',
+        'heute nacht': 'tonight',
+        'morgen früh': 'tomorrow morning',
+        'morgen': 'tomorrow',
+        'heute': 'today',
+        'morgens': 'in the morning',
+        'vormittags': 'in the morning',
+        'nachmittags': 'in the afternoon',
+        'abends': 'in the evening',
+        'nachts': 'at night',
+        'mittags': 'at noon',
+        'mitternacht': 'midnight',
+        'am wochenende': 'this weekend',
+        'wochenende': 'weekend',
+        'nächste woche': 'next week',
+        'nächsten': 'next',
+        'nächste': 'next',
+        'nächster': 'next',
+        'jeden tag': 'every day',
+        'täglich': 'daily',
+        'wöchentlich': 'weekly',
+        'monatlich': 'monthly',
+        'jeden': 'every',
+        'jede': 'every',
+        'um': 'at',
+        'bis': 'by',
+        'in': 'in',
+        'uhr': 'o\'clock',
+        'stunden': 'hours',
+        'stunde': 'hour',
+        'minuten': 'minutes',
+        'tagen': 'days',
+        'tage': 'days',
+        'wochen': 'weeks',
+        'woche': 'week',
+        'monaten': 'months',
+        'monate': 'months',
+        'monat': 'month',
+        'jahren': 'years',
+        'jahre': 'years',
+        'jahr': 'year'
+    },
+    rewrites: [
+        // "3. Januar" -> "3 january"
+        ['(\\d{1,2})\\.\\s*(?=(?:january|february|march|april|may|june|july|august|september|october|november|december)\\b)', '$1 ']
+    ],
+    numberWords: {
+        'eins': 1, 'ein': 1, 'einem': 1, 'einer': 1, 'zwei': 2, 'drei': 3, 'vier': 4, 'fünf': 5, 'sechs': 6,
+        'sieben': 7, 'acht': 8, 'neun': 9, 'zehn': 10, 'elf': 11, 'zwölf': 12
+    },
+    fillers: ['ich muss', 'wir müssen', 'ich sollte', 'ich möchte', 'bitte', 'erinnere mich daran', 'erinnere mich', 'nicht vergessen'],
+    delimiters: ['und', 'dann', 'danach', 'außerdem'],
+    priority: {
+        URGENT: ['dringend', 'sofort', 'eilig'],
+        HIGH: ['wichtig'],
+        LOW: ['irgendwann', 'bei gelegenheit', 'vielleicht']
+    },
+    category: {
+        Work: ['besprechung', 'kunde', 'kunden', 'chef', 'bericht', 'büro', 'projekt', 'präsentation', 'arbeit', 'rechnung'],
+        Home: ['mutter', 'vater', 'mama', 'papa', 'einkaufen', 'arzt', 'wäsche', 'familie', 'haus', 'bank', 'abendessen']
+    },
+    stopwords: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'am', 'im', 'zum', 'zur', 'zu', 'für', 'mit', 'und', 'an'],
+    personCues: [],
+    capitalizesNouns: true
+};
@@ -0,0 +1,18 @@
+/**
+ * English - the parser's built-in vocabulary, so this pack adds nothing.
+ */
+export default {
+    code: 'en',
+    name: 'English',
+    speechLang: 'en-US',
+    phrases: {},
+    rewrites: [],
+    numberWords: {},
+    fillers: [],
+    delimiters: [],
+    priority: {},
+    category: {},
+    stopwords: [],
+    personCues: [],
+    capitalizesNouns: false
+};
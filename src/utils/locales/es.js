@@ -0,0 +1,102 @@
+/**
+ * Spanish (Español)
+ */
+const WEEKDAYS = {
+    'lunes': 'monday',
+    'martes': 'tuesday',
+    'miércoles': 'wednesday',
+    'miercoles': 'wednesday',
+    'jueves': 'thursday',
+    'viernes': 'friday',
+    'sábado': 'saturday',
+    'sabado': 'saturday',
+    'domingo': 'sunday'
+};
+
+const MONTHS = {
+    'enero': 'january',
+    'febrero': 'february',
+    'marzo': 'march',
+    'abril': 'april',
+    'mayo': 'may',
+    'junio': 'june',
+    'julio': 'july',
+    'agosto': 'august',
+    'septiembre': 'september',
+    'setiembre': 'september',
+    'octubre': 'october',
+    'noviembre': 'november',
+    'diciembre': 'december'
+};
+
+export default {
+    code: 'es',
+    name: 'Español',
+    speechLang: 'es-ES',
+    phrases: {
+        ...WEEKDAYS,
+        ...MONTHS,
+        'pasado mañana': 'in next 2 days',
+        'mañana por la mañana': 'tomorrow morning',
+        'por la mañana': 'in the morning',
+        'de la mañana': 'am',
+        'por la tarde': 'in the afternoon',
+        'de la tarde': 'pm',
+        'por la noche': 'at night',
+        'de la noche': 'pm',
+        'esta noche': 'tonight',
+        'mediodía': 'noon',
+        'medianoche': 'midnight',
+        'mañana': 'tomorrow',
+        'hoy': 'today',
+        'este fin de semana': 'this weekend',
+        'fin de semana': 'weekend',
+        'la próxima semana': 'next week',
+        'la semana que viene': 'next week',
+        'próximo': 'next',
+        'próxima': 'next',
+        'cada día': 'every day',
+        'todos los días': 'every day',
+        'cada semana': 'every week',
+        'cada mes': 'every month',
+        'cada': 'every',
+        'antes del': 'by',
+        'antes de': 'by',
+        'a las': 'at',
+        'a la': 'at',
+        'en': 'in',
+        'horas': 'hours',
+        'hora': 'hour',
+        'minutos': 'minutes',
+        'días': 'days',
+        'dias': 'days',
+        'semanas': 'weeks',
+        'semana': 'week',
+        'meses': 'months',
+        'mes': 'month',
+        'años': 'years',
+        'año': 'year'
+    },
+    rewrites: [
+        // "3 de enero" -> "3 january"
+        ['(\\d{1,2})\\s+de\\s+(?=(?:january|february|march|april|may|june|july|august|september|october|november|december)\\b)', '$1 ']
+    ],
+    numberWords: {
+        'una': 1, 'uno': 1, 'un': 1, 'dos': 2, 'tres': 3, 'cuatro': 4, 'cinco': 5, 'seis': 6,
+        'siete': 7, 'ocho': 8, 'nueve': 9, 'diez': 10, 'once': 11, 'doce': 12
+    },
+    fillers: ['tengo que', 'tenemos que', 'necesito', 'hay que', 'debo', 'por favor', 'recuérdame', 'recuerdame'],
+    delimiters: ['y', 'también', 'luego', 'después'],
+    priority: {
+        URGENT: ['urgente', 'inmediatamente', 'cuanto antes'],
+        HIGH: ['importante', 'prioritario'],
+        LOW: ['algún día', 'cuando pueda', 'sin prisa']
+    },
+    category: {
+        Work: ['reunión', 'reunion', 'cliente', 'jefe', 'informe', 'correo', 'oficina', 'proyecto', 'presentación', 'trabajo'],
+        Home: ['mamá', 'papá', 'madre', 'padre', 'compras', 'médico', 'casa', 'familia', 'banco', 'cena', 'gimnasio']
+    },
+    stopwords: ['el', 'la', 'los', 'las', 'de', 'del', 'al', 'un', 'una', 'para', 'con', 'y'],
+    personCues: ['a', 'con', 'llamar', 'llama', 'escribir', 'escribe', 'visitar', 'ver', 'preguntar', 'pregunta', 'pagar'],
+    capitalizesNouns: false
+};
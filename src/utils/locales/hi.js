@@ -0,0 +1,66 @@
+/**
+ * Hindi and Hinglish (Hindi in Latin script, mixed with English).
+ * Speech recognition for hi-IN returns Devanagari, so both scripts are covered.
+ */
+const WEEKDAYS = {
+    'somvar': 'monday', 'somvaar': 'monday', 'सोमवार': 'monday',
+    'mangalvar': 'tuesday', 'mangalvaar': 'tuesday', 'मंगलवार': 'tuesday',
+    'budhvar': 'wednesday', 'budhvaar': 'wednesday', 'बुधवार': 'wednesday',
+    'guruvar': 'thursday', 'guruvaar': 'thursday', 'veervar': 'thursday', 'गुरुवार': 'thursday',
+    'shukravar': 'friday', 'shukravaar': 'friday', 'शुक्रवार': 'friday',
+    'shanivar': 'saturday', 'shanivaar': 'saturday', 'शनिवार': 'saturday',
+    'ravivar': 'sunday', 'ravivaar': 'sunday', 'itvaar': 'sunday', 'रविवार': 'sunday'
+};
+
+export default {
+    code: 'hi',
+    name: 'हिन्दी / Hinglish',
+    speechLang: 'hi-IN',
+    phrases: {
+        ...WEEKDAYS,
+        'aaj raat': 'tonight', 'आज रात': 'tonight',
+        'kal subah': 'tomorrow morning', 'कल सुबह': 'tomorrow morning',
+        'kal shaam': 'tomorrow evening', 'कल शाम': 'tomorrow evening',
+        'parso': 'in next 2 days', 'parson': 'in next 2 days', 'परसों': 'in next 2 days',
+        'kal': 'tomorrow', 'कल': 'tomorrow',
+        'aaj': 'today', 'आज': 'today',
+        'subah': 'morning', 'सुबह': 'morning',
+        'dopahar': 'afternoon', 'दोपहर': 'afternoon',
+        'shaam ko': 'in the evening', 'shaam': 'evening', 'शाम को': 'in the evening', 'शाम': 'evening',
+        'raat ko': 'at night', 'raat': 'night', 'रात को': 'at night', 'रात': 'night',
+        'agle hafte': 'next week', 'अगले हफ्ते': 'next week',
+        'agle': 'next', 'अगले': 'next',
+        'roz': 'every day', 'rozana': 'every day', 'har din': 'every day', 'रोज़': 'every day', 'हर दिन': 'every day',
+        'har': 'every', 'हर': 'every',
+        'baje': 'o\'clock', 'बजे': 'o\'clock',
+        'tak': 'by', 'तक': 'by',
+        'ghante mein': 'hours', 'ghante': 'hours', 'घंटे में': 'hours', 'घंटे': 'hours',
+        'minute mein': 'minutes', 'मिनट में': 'minutes', 'मिनट': 'minutes',
+        'din mein': 'days', 'दिन में': 'days'
+    },
+    rewrites: [
+        // Hindi puts the duration first: "2 hours" from "do ghante mein" reads as "in 2 hours"
+        ['(?<!(?:in|next)\\s)(?<![\\p{L}\\p{N}])(\\d+ (?:hours|minutes|days))', 'in $1']
+    ],
+    numberWords: {
+        'ek': 1, 'do': 2, 'teen': 3, 'char': 4, 'chaar': 4, 'paanch': 5, 'panch': 5, 'chhe': 6, 'cheh': 6,
+        'saat': 7, 'aath': 8, 'nau': 9, 'das': 10, 'gyarah': 11, 'barah': 12, 'baarah': 12,
+        'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'पाँच': 5, 'छह': 6, 'सात': 7,
+        'आठ': 8, 'नौ': 9, 'दस': 10, 'ग्यारह': 11, 'बारह': 12
+    },
+    fillers: ['mujhe', 'humein', 'yaad dilana', 'yaad se', 'मुझे', 'हमें', 'याद दिलाना'],
+    delimiters: ['aur', 'phir', 'fir', 'uske baad', 'और', 'फिर', 'उसके बाद'],
+    priority: {
+        URGENT: ['turant', 'abhi ke abhi', 'तुरंत'],
+        HIGH: ['zaroori', 'jaruri', 'jaldi', 'ज़रूरी', 'जरूरी', 'जल्दी'],
+        LOW: ['kabhi bhi', 'fursat mein', 'कभी भी']
+    },
+    category: {
+        Work: ['daftar', 'kaam', 'दफ़्तर', 'दफ्तर', 'काम', 'मीटिंग', 'बॉस'],
+        Home: ['ghar', 'mummy', 'papa', 'maa', 'sabzi', 'doodh', 'bazaar', 'dawai', 'घर', 'माँ', 'मम्मी', 'पापा', 'दूध', 'सब्ज़ी', 'दवाई']
+    },
+    stopwords: ['ko', 'ka', 'ki', 'ke', 'se', 'mein', 'par', 'karna hai', 'karni hai', 'karna', 'karni', 'hai',
+        'को', 'का', 'की', 'के', 'से', 'में', 'पर', 'करना है', 'करनी है', 'करना', 'है'],
+    personCues: [],
+    capitalizesNouns: false
+};
@@ -0,0 +1,42 @@
+/**
+ * Locale packs for the parser pipeline.
+ *
+ * English is the parser's native vocabulary. Other packs map their words
+ * onto it during normalization, and add their own vocabulary to the other stages:
+ *
+ *   Normalize: phrases     native phrase -> canonical English ("mañana" -> "tomorrow"), longest first
+ *              rewrites    [pattern, replacement] regex fix-ups run after phrases
+ *              numberWords spoken numbers turned into digits next to time units ("at tres" -> "at 3")
+ *              fillers     filler phrases removed before anything else
+ *   Segment:   delimiters  words that separate tasks, like "and"
+ *   Extract:   priority    { URGENT, HIGH, LOW } keyword lists, added to the dictionaries
+ *              category    { [categoryName]: keywords }, added to the dictionaries
+ *              personCues  words a person's name follows ("con" Juan), added to the English ones
+ *              capitalizesNouns  true when every noun is capitalized (German), so capitals don't mark names
+ *   Clean:     stopwords   leftover articles/prepositions to drop from descriptions
+ */
+import en from './en.js';
+import es from './es.js';
+import hi from './hi.js';
+import de from './de.js';
+
+export const LOCALE_PACKS = { en, es, hi, de };
+
+// Languages offered for speech recognition (BCP 47)
+export const SPEECH_LANGUAGES = [
+    { code: 'en-US', name: 'English (US)' },
+    { code: 'en-GB', name: 'English (UK)' },
+    { code: 'en-IN', name: 'English (India)' },
+    { code: 'es-ES', name: 'Español (España)' },
+    { code: 'es-MX', name: 'Español (México)' },
+    { code: 'hi-IN', name: 'हिन्दी (India)' },
+    { code: 'de-DE', name: 'Deutsch' }
+];
+
+/**
+ * Pack for a locale tag ("es", "es-MX", "hi-IN"); unknown languages get English
+ */
+export const getLocalePack = (locale) => {
+    const language = String(locale || 'en').toLowerCase().split(/[-_]/)[0];
+    return LOCALE_PACKS[language] || LOCALE_PACKS.en;
+};
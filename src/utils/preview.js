@@ -0,0 +1,55 @@
+/**
+ * preview.js
+ *
+ * Reshaping parsed tasks before they're added: merge a wrongly split pair,
+ * split a run-on task, and decide when the preview can be skipped.
+ */
+import { mergeTasks } from './duplicates.js';
+import { createTaskId } from './taskList.js';
+
+// Inputs up to this many words that parse to one task can skip the preview
+export const SHORT_INPUT_WORDS = 12;
+
+// "and" / "then" left at the cut point
+const CONNECTOR_END = /\s+(?:and|then|also|and then)$/i;
+const CONNECTOR_START = /^(?:and|then|also|and then)\s+/i;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * True for a short input that became a single, confidently parsed task
+ */
+export const isQuickAdd = (transcript, tasks) =>
+    tasks.length === 1
+    && !tasks[0].needsReview
+    && transcript.trim().split(/\s+/).length <= SHORT_INPUT_WORDS;
+
+/**
+ * Join the task at `index` with the one after it; the first keeps its
+ * details and fills gaps from the second
+ */
+export const mergeWithNext = (tasks, index) => {
+    const first = tasks[index];
+    const second = tasks[index + 1];
+    if (!first || !second) return tasks;
+    const secondText = second.description.charAt(0).toLowerCase() + second.description.slice(1);
+    const merged = {
+        ...first,
+        ...mergeTasks(first, second),
+        description: `${first.description} and ${secondText}`
+    };
+    return [...tasks.slice(0, index), merged, ...tasks.slice(index + 2)];
+};
+
+/**
+ * Split the task at `index` before word `at` of its description; both
+ * halves keep its details, the checklist stays with the first
+ */
+export const splitTask = (tasks, index, at) => {
+    const task = tasks[index];
+    const words = task ? task.description.split(/\s+/) : [];
+    if (at <= 0 || at >= words.length) return tasks;
+    const first = { ...task, description: words.slice(0, at).join(' ').replace(CONNECTOR_END, '') || words[0] };
+    const second = { ...task, id: createTaskId(), description: capitalize(words.slice(at).join(' ').replace(CONNECTOR_START, '')), subtasks: [] };
+    return [...tasks.slice(0, index), first, second, ...tasks.slice(index + 1)];
+};
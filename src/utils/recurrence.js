@@ -0,0 +1,121 @@
+/**
+ * recurrence.js
+ *
+ * Recurrence rules for repeating tasks.
+ *
+ * Rule shape: { frequency, interval, weekdays?, monthDay? }
+ *   frequency: 'daily' | 'weekly' | 'monthly' | 'yearly'
+ *   interval:  repeat every N units (1 = every day/week/...)
+ *   weekdays:  for weekly rules, days of week (0 = Sunday ... 6 = Saturday)
+ *   monthDay:  for monthly rules, day of month (-1 = last day)
+ */
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNIT_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Ordinal suffix for a day of month: 1 → "1st", 22 → "22nd"
+ */
+const ordinal = (n) => {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+    return `${n}${suffix}`;
+};
+
+/**
+ * Returns the first date strictly after `from` that matches the rule
+ */
+export const getNextOccurrence = (rule, from) => {
+    const interval = Math.max(1, rule.interval || 1);
+    const next = new Date(from);
+    next.setHours(0, 0, 0, 0);
+
+    if (rule.frequency === 'daily') {
+        next.setDate(next.getDate() + interval);
+    }
+
+    else if (rule.frequency === 'weekly') {
+        if (!rule.weekdays || rule.weekdays.length === 0) {
+            next.setDate(next.getDate() + 7 * interval);
+        } else {
+            // Walk forward to the next listed weekday; wrapping into a new
+            // week skips the weeks in between for intervals above 1
+            const startDay = next.getDay();
+            for (let offset = 1; offset <= 7; offset++) {
+                const day = (startDay + offset) % 7;
+                if (rule.weekdays.includes(day)) {
+                    const wrapped = day <= startDay;
+                    next.setDate(next.getDate() + offset + (wrapped ? 7 * (interval - 1) : 0));
+                    break;
+                }
+            }
+        }
+    }
+
+    else if (rule.frequency === 'monthly') {
+        const targetDay = rule.monthDay || next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + interval);
+        const lastDay = daysInMonth(next.getFullYear(), next.getMonth());
+        next.setDate(targetDay === -1 ? lastDay : Math.min(targetDay, lastDay));
+    }
+
+    else if (rule.frequency === 'yearly') {
+        const month = next.getMonth();
+        const day = next.getDate();
+        next.setDate(1);
+        next.setFullYear(next.getFullYear() + interval);
+        next.setDate(Math.min(day, daysInMonth(next.getFullYear(), month)));
+    }
+
+    return next;
+};
+
+/**
+ * Returns the first date on or after `now` that matches the rule.
+ * Rules without an anchor day (daily, plain weekly/monthly/yearly) start today.
+ */
+export const getFirstOccurrence = (rule, now) => {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const anchored = (rule.frequency === 'weekly' && rule.weekdays && rule.weekdays.length > 0) ||
+        (rule.frequency === 'monthly' && rule.monthDay);
+    if (!anchored) return today;
+
+    const yesterday = new Date(today);
+    yesterday.setDate(today.getDate() - 1);
+    return getNextOccurrence({ ...rule, interval: 1 }, yesterday);
+};
+
+/**
+ * Human-readable summary, e.g. "Daily", "Every 2 weeks", "Every Tue, Thu", "Monthly on the 1st"
+ */
+export const describeRecurrence = (rule) => {
+    if (!rule) return '';
+    const interval = Math.max(1, rule.interval || 1);
+    const unit = UNIT_LABELS[rule.frequency];
+
+    if (rule.frequency === 'weekly' && rule.weekdays && rule.weekdays.length > 0) {
+        const sorted = [...rule.weekdays].sort();
+        let days = sorted.map(d => WEEKDAY_NAMES[d]).join(', ');
+        if (sorted.join() === '1,2,3,4,5') days = 'weekday';
+        if (sorted.join() === '0,6') days = 'weekend';
+        return interval === 1 ? `Every ${days}` : `Every ${interval} weeks on ${days}`;
+    }
+
+    let label = interval === 1
+        ? rule.frequency.charAt(0).toUpperCase() + rule.frequency.slice(1)
+        : `Every ${interval} ${unit}s`;
+
+    if (rule.frequency === 'monthly' && rule.monthDay) {
+        label += rule.monthDay === -1 ? ' on the last day' : ` on the ${ordinal(rule.monthDay)}`;
+    }
+
+    return label;
+};
@@ -0,0 +1,64 @@
+/**
+ * taskDates.js
+ *
+ * A task can have a scheduled day ("dentist on Friday") and a deadline
+ * ("expenses by Friday"). dueDate is the earlier of the two: the day the
+ * task sorts and is budgeted under. All three are ISO dates or null.
+ */
+import { formatDisplayDate, parseISODate, toISODate } from './dateUtils.js';
+
+/**
+ * Date fields for a task with this scheduled day and deadline
+ */
+export const withDates = (scheduledDate, deadline) => ({
+    scheduledDate: scheduledDate || null,
+    deadline: deadline || null,
+    dueDate: [scheduledDate, deadline].filter(Boolean).sort()[0] || null
+});
+
+/**
+ * Changes that move a task to `date`: its deadline when that's all it
+ * has, otherwise its scheduled day
+ */
+export const moveTaskDate = (task, date) => (task.deadline && !task.scheduledDate
+    ? withDates(null, date)
+    : withDates(date, task.deadline));
+
+/**
+ * Move both dates by the days between `from` and `to` (Date objects)
+ */
+export const shiftTaskDates = (task, from, to) => {
+    const days = Math.round((to - from) / 86400000);
+    const shift = (iso) => {
+        const date = parseISODate(iso);
+        if (!date) return null;
+        date.setDate(date.getDate() + days);
+        return toISODate(date);
+    };
+    return withDates(shift(task.scheduledDate), shift(task.deadline));
+};
+
+/**
+ * 'overdue' once the deadline has passed, 'missed' when only the scheduled
+ * day has; null otherwise (and for completed tasks)
+ */
+export const getDateStatus = (task, today = new Date()) => {
+    if (task.completed) return null;
+    const start = new Date(today);
+    start.setHours(0, 0, 0, 0);
+    const deadline = parseISODate(task.deadline);
+    if (deadline && deadline < start) return 'overdue';
+    const scheduled = parseISODate(task.scheduledDate);
+    if (scheduled && scheduled < start) return 'missed';
+    return null;
+};
+
+/**
+ * "03-Jan", "by 05-Jan", "03-Jan, by 05-Jan" or "No date"
+ */
+export const formatTaskDates = (task) => {
+    const parts = [];
+    if (task.scheduledDate) parts.push(formatDisplayDate(task.scheduledDate));
+    if (task.deadline) parts.push(`by ${formatDisplayDate(task.deadline)}`);
+    return parts.length > 0 ? parts.join(', ') : 'No date';
+};
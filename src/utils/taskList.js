@@ -0,0 +1,104 @@
+/**
+ * taskList.js
+ *
+ * Operations on a stored task list (the `saydone-tasks` payload), shared by
+ * the web app's store and the command-line tool.
+ */
+import { getNextOccurrence } from './recurrence.js';
+import { migrateLegacyDate, parseISODate, toISODate } from './dateUtils.js';
+import { shiftTaskDates, withDates } from './taskDates.js';
+
+/**
+ * A new task id: creation timestamp plus a random suffix
+ */
+export const createTaskId = () => Date.now() + Math.random().toString(36).substr(2, 9);
+
+/**
+ * Ids are generated by createTaskId, so the leading
+ * 13 digits give the creation time of tasks saved before createdAt existed.
+ */
+const creationTimeFromId = (id) => {
+    const timestamp = parseInt(String(id).slice(0, 13));
+    return timestamp > 0 && timestamp <= Date.now() ? new Date(timestamp) : new Date();
+};
+
+/**
+ * Upgrade tasks saved with DD-MMM due dates to ISO dates, and tasks saved
+ * before deadlines existed (their date becomes the scheduled day)
+ */
+export const migrateTasks = (tasks) => tasks.map(task => {
+    const dueDate = migrateLegacyDate(task.dueDate, creationTimeFromId(task.id));
+    if (task.scheduledDate === undefined && task.deadline === undefined) {
+        return { ...task, ...withDates(dueDate, null) };
+    }
+    return dueDate === task.dueDate ? task : { ...task, dueDate };
+});
+
+/**
+ * Build the next open copy of a completed repeating task.
+ * Occurrences that are already in the past are skipped.
+ */
+export const createNextOccurrence = (task) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const from = parseISODate(task.dueDate);
+    let next = getNextOccurrence(task.recurrence, from || today);
+    while (next < today) {
+        next = getNextOccurrence(task.recurrence, next);
+    }
+
+    // Scheduled day and deadline move together
+    return {
+        ...task,
+        id: createTaskId(),
+        ...(from ? shiftTaskDates(task, from, next) : withDates(toISODate(next), null)),
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+        completed: false,
+        completedAt: null,
+        nextOccurrenceId: null
+    };
+};
+
+/**
+ * Tick or untick a task. Completing a repeating task schedules its next
+ * occurrence once (the id is kept on the task as nextOccurrenceId);
+ * unticking it takes that occurrence back off the list while it's still open.
+ */
+export const toggleTaskComplete = (tasks, id) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return tasks;
+
+    if (task.completed) {
+        const spawned = tasks.find(t => t.id === task.nextOccurrenceId);
+        const removeSpawned = spawned && !spawned.completed;
+        return tasks
+            .filter(t => !(removeSpawned && t.id === spawned.id))
+            .map(t => t.id === id
+                ? { ...t, completed: false, completedAt: null, nextOccurrenceId: removeSpawned ? null : t.nextOccurrenceId }
+                : t);
+    }
+
+    const alreadySpawned = task.nextOccurrenceId && tasks.some(t => t.id === task.nextOccurrenceId);
+    const next = task.recurrence && !alreadySpawned ? createNextOccurrence(task) : null;
+    const toggled = tasks.map(t => t.id === id
+        ? { ...t, completed: true, completedAt: new Date().toISOString(), ...(next ? { nextOccurrenceId: next.id } : {}) }
+        : t);
+    return next ? [next, ...toggled] : toggled;
+};
+
+/**
+ * Read a task file (the same JSON array the app keeps in localStorage).
+ * Throws with a readable message when it isn't one.
+ */
+export const parseTaskFile = (json) => {
+    const raw = JSON.parse(json);
+    if (!Array.isArray(raw)) throw new Error('Task file must contain a JSON list of tasks.');
+    raw.forEach((task, index) => {
+        if (!task || typeof task !== 'object' || Array.isArray(task)) throw new Error(`Task #${index + 1} must be an object.`);
+        if (!task.id || typeof task.description !== 'string') throw new Error(`Task #${index + 1} needs an id and a description.`);
+    });
+    return migrateTasks(raw);
+};
+
+export const serializeTasks = (tasks) => JSON.stringify(tasks, null, 2);
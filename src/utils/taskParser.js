@@ -4,91 +4,471 @@
  * Pipeline-based task parser with improved regex cleaning.
  * 
  * Pipeline: Normalization → Segmentation → Extraction → Cleaning
+ *
+ * Extraction runs a list of extractors (DEFAULT_EXTRACTORS); createParser
+ * builds a parser with a different list for domain-specific details.
  */
 
+import { getFirstOccurrence } from './recurrence.js';
+import { addCalendarMonths, createCalendarDate, getDefaultDateOrder, getDefaultWeekStart, toISODate, toZonedWallClock } from './dateUtils.js';
+import { CONTEXT_ERRANDS, CONTEXT_PLACES, RELATIONSHIP_WORDS, keywordOf, resolveDictionaries, weightOf } from './dictionaries.js';
+import { classify } from './learner.js';
+import { needsReview, rate } from './confidence.js';
+import { withDates } from './taskDates.js';
+import { getLocalePack } from './locales/index.js';
+import { createTaskId } from './taskList.js';
+
 const CATEGORIES = {
     WORK: 'Work',
     HOME: 'Home',
 };
 
-// Priority keyword dictionaries
-const PRIORITY_KEYWORDS = {
-    URGENT: ['urgent', 'asap', 'immediately', 'critical', 'high priority', 'must do', 'critical issue'],
-    HIGH: ['important', 'tonight', 'today', 'urgent', 'before it\'s', 'overdue', 'deadline', 'by end of day', 'eod'],
-    LOW: ['whenever', 'low priority', 'maybe', 'sometime', 'eventually']
-};
-
-// Category keyword dictionaries - expanded based on examples
-const CATEGORY_KEYWORDS = {
-    WORK: ['email', 'meeting', 'call', 'presentation', 'boss', 'client', 'code',
-        'budget', 'slide', 'project', 'deadline', 'report', 'office', 'business',
-        'interview', 'hire', 'deploy', 'patch', 'bug', 'production', 'expense', 'agenda',
-        'slides', 'client meeting', 'work', 'conference', 'presentation'],
-    HOME: ['mom', 'dad', 'mother', 'father', 'gym', 'groceries', 'kids', 'dinner', 'party', 'doctor',
-        'family', 'wife', 'husband', 'son', 'daughter', 'parent', 'brother', 'sister',
-        'laundry', 'clean', 'cook', 'bank', 'bill', 'medicine', 'workout', 'trip', 'vacation',
-        'home', 'house', 'driving license', 'credit card', 'blood pressure', 'appointment',
-        'mom', 'airport', 'cab', 'electricity', 'workspace', 'resume']
-};
-
-// Word expansions for better parsing
-const WORD_EXPANSIONS = {
-    'mom': 'mother',
-    'dad': 'father',
-    'tmw': 'tomorrow'
-};
-
-// Filler words/phrases to remove during normalization
-const FILLER_PHRASES = [
-    'there is a need to',
-    'there\'s a need to',
-    'there is need to',
-    'i need to',
-    'i have to',
-    'i want to',
-    'i should',
-    'we need to',
-    'we have to',
-    'we should',
-    'please',
-    'remind me to',
-    'can you',
-    'could you'
+// Spoken number words used for times ("three thirty", "half past nine")
+const NUMBER_WORDS = {
+    'zero': 0, 'oh': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
+    'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11,
+    'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15, 'sixteen': 16,
+    'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20, 'thirty': 30,
+    'forty': 40, 'fifty': 50
+};
+
+// Spoken numbers up to fifty-nine, as RegExp alternations ("three", "twenty-one")
+const SPOKEN_UNITS = 'one|two|three|four|five|six|seven|eight|nine';
+const SPOKEN_TEENS = 'ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen';
+const SPOKEN_AMOUNT = `(?:twenty|thirty|forty|fifty)(?:[\\s-](?:${SPOKEN_UNITS}))?|${SPOKEN_TEENS}|${SPOKEN_UNITS}`;
+
+// Vague quantities in relative offsets: "in a couple of days", "a few weeks from now"
+const VAGUE_AMOUNTS = { 'a couple of': 2, 'couple of': 2, 'a few': 3, 'few': 3, 'several': 3, 'a': 1, 'an': 1 };
+
+// Verbs that open a new task when they follow "and", "then" or a comma
+const TASK_VERBS = [
+    'add', 'arrange', 'ask', 'attend', 'book', 'bring', 'buy', 'call', 'cancel', 'change', 'check',
+    'clean', 'clear', 'collect', 'confirm', 'contact', 'cook', 'create', 'deploy', 'design', 'discuss',
+    'do', 'draft', 'drop', 'email', 'file', 'fill', 'finish', 'fix', 'follow', 'get', 'give', 'go',
+    'hire', 'invite', 'iron', 'learn', 'make', 'meet', 'message', 'move', 'order', 'organize', 'pack',
+    'pay', 'phone', 'pick', 'plan', 'prepare', 'print', 'publish', 'put', 'read', 'recharge', 'reply',
+    'renew', 'repair', 'reschedule', 'respond', 'return', 'review', 'ring', 'schedule', 'see', 'sell',
+    'send', 'set', 'share', 'shop', 'sign', 'start', 'submit', 'take', 'talk', 'test', 'text', 'tidy',
+    'update', 'upload', 'visit', 'walk', 'wash', 'watch', 'water', 'write'
+];
+
+// Words that can sit before the verb of a new clause: "and then I'll call..."
+const CLAUSE_LEAD_INS = ['i', "i'll", 'we', "we'll", 'will', 'to', 'also', 'then', 'and', 'need', 'must',
+    'should', 'gotta', 'remember', "don't", 'dont', 'forget', 'please', 'go'];
+
+// "then send it" - a step on the previous task, not a new one
+const OBJECT_PRONOUNS = ['it', 'them', 'this', 'that', 'these', 'those', 'him', 'her'];
+
+// Spoken run-on cues that always start a new task
+const RUN_ON_CUES = [
+    'oh and another thing',
+    'and another thing',
+    'oh another thing',
+    'oh and one more thing',
+    'one more thing',
+    'oh and also',
+    'oh and',
+    'oh also',
+    'and after that',
+    'after that',
+    'apart from that',
+    'besides that',
+    'on top of that'
+];
+
+// Capitalized words that aren't people
+const NOT_NAMES = [
+    'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+    'october', 'november', 'december', 'i', "i'm", "i'll", "i've", "i'd", 'ok', 'okay',
+    'christmas', 'easter', 'diwali', 'eid', 'thanksgiving', 'halloween', 'new', 'year'
+];
+
+// Words a name follows ("call John", "lunch with Sarah"); a capitalized word
+// anywhere else is more likely a place or product ("Paris", "Amazon")
+const PERSON_CUES = [
+    'call', 'ring', 'phone', 'text', 'email', 'message', 'ping', 'contact', 'meet', 'meeting', 'with',
+    'ask', 'tell', 'remind', 'thank', 'pay', 'visit', 'see', 'invite', 'help', 'and'
 ];
 
+// Verbs that send someone out on an errand ("buy groceries", "pick up a parcel")
+const ERRAND_VERBS = ['buy', 'get', 'pick\\s+up', 'refill', 'collect'];
+
+// Cues that also take places ("visit Paris", "see Rome"): the name after one
+// only counts when nothing else in the task names a person
+const PLACE_CUES = ['visit', 'see'];
+
+// Learned category probability counts like a keyword of this weight
+const LEARNED_CATEGORY_WEIGHT = 2;
+
+// Learned urgency only overrides the Medium default when at least this likely
+const LEARNED_URGENCY_THRESHOLD = 0.6;
+
+const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+
+// Day names in Date#getDay() order
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Default clock times for vague time-of-day words
+const TIME_OF_DAY_DEFAULTS = {
+    morning: '09:00',
+    afternoon: '14:00',
+    evening: '18:00',
+    night: '20:00',
+    tonight: '20:00'
+};
+
+// "in three weeks", "within 10 days", "a month from now", "two weeks later",
+// "in 2 days' time", "a week from tomorrow"
+const OFFSET_AMOUNT = `\\d+|a\\s+couple\\s+of|couple\\s+of|a\\s+few|few|several|an?|${SPOKEN_AMOUNT}`;
+const OFFSET_UNIT = '(days?|weeks?|fortnights?|months?|years?)';
+const RELATIVE_OFFSET_REGEX = new RegExp(
+    `\\b(?:(?:in|within|after)\\s+(?:the\\s+)?(?:next\\s+)?(${OFFSET_AMOUNT})\\s+${OFFSET_UNIT}(?:'?s?\\s+time)?(?:\\s+from\\s+(now|today|tomorrow))?` +
+    `|(${OFFSET_AMOUNT})\\s+${OFFSET_UNIT}\\s+(?:from\\s+(now|today|tomorrow)|later|hence))\\b`,
+    'i'
+);
+
+// "day after tomorrow", "the day after tomorrow"
+const DAY_AFTER_TOMORROW_REGEX = /\b(?:the\s+)?day\s+after\s+tomorrow\b/i;
+
+// "end of the week", "end of next week", "eow", "sometime this week"
+const END_OF_WEEK_REGEX = /\b(?:(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(next\s+)?week|eow|(?:sometime\s+)?this\s+week)\b/i;
+
+// "next week", "early next week", "start of next week"
+const NEXT_WEEK_REGEX = /\b(?:(?:the\s+)?(?:start|beginning)\s+of\s+|early\s+)?(?:the\s+)?next\s+week\b/i;
+
+// "end of month", "end of next month", "eom", "sometime this month"
+const END_OF_MONTH_REGEX = /\b(?:(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(next\s+)?month|eom|(?:sometime\s+)?this\s+month)\b/i;
+
+// "next month", "start of next month", "beginning of the next month"
+const NEXT_MONTH_REGEX = /\b(?:(?:the\s+)?(?:start|beginning)\s+of\s+|early\s+)?(?:the\s+)?next\s+month\b/i;
+
+// "this quarter", "end of next quarter", "by Q1", "start of Q3", "Q3 2027", "end of the quarter".
+// A bare "Q3" needs a cue or a year: "review the Q3 numbers" has no date.
+const QUARTER_REGEX = /\b(?:(?:the\s+)?(end|start|beginning)\s+of\s+(?:the\s+)?)?(?:(this|next)\s+quarter|(?:(?<=\b(?:by|in|before|until|till|during|of)\s+(?:the\s+)?)|(?=q[1-4]\s+\d{4}\b))q([1-4])(?:\s+(\d{4}))?)\b|\b(?:the\s+)?(end|start|beginning)\s+of\s+(?:the\s+)?quarter\b/i;
+
+// "end of the year", "eoy", "this year"
+const END_OF_YEAR_REGEX = /\b(?:(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?year|eoy|(?:sometime\s+)?this\s+year)\b/i;
+
+// "Pack for trip: passport, charger", "plan party including cake and invites".
+// The colon must be followed by a space, so clock times like 10:30 don't count.
+const CHECKLIST_REGEX = /^(.+?)(?::\s+|\s+including\s+)(.+)$/i;
+
+// Month-name prefixes in Date#getMonth() order
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "15th of February 2027", "3 jan"
+const DAY_MONTH_REGEX = /\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b(?:,?\s+(\d{4})\b)?/i;
+
+// "Jan 15", "February 3rd, 2027"
+const MONTH_DAY_REGEX = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4})\b)?/i;
+
+// "2026-11-05", "due 2026/11/05"
+const ISO_DATE_REGEX = /(?:\bdue\s+)?(?<![\d/.-])(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?![/.-]?\d)/i;
+
+// "12/03", "15.02", "12-03-2027"; not a quantity like "2.50 kg" or "5-10 minutes"
+const NUMERIC_DATE_REGEX = /(?:\bdue\s+)?(?<![\d/.-])(\d{1,2})([/.-])(\d{1,2})(?:\2(\d{4}|\d{2}))?(?![/.-]?\d)(?!\s*(?:%|hours?|hrs?|h\b|minutes?|mins?|days?|weeks?|months?|years?|kg|km|miles?|lbs?|pages?|people)\b)/i;
+
+// A date cue right before a numeric date: "on 3.4", "by the 1-2"
+const NUMERIC_DATE_CUE_REGEX = /\b(?:on|by|before|until|till|due)\s+(?:the\s+)?$/i;
+
+// "on the 21st", "the 5th", "on 3rd"
+const ORDINAL_DAY_REGEX = /\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b|\bon\s+(\d{1,2})(?:st|nd|rd|th)\b/i;
+
+/**
+ * Add a locale pack's fillers, priority and category words to the user's dictionaries.
+ * Pack category words only apply to categories the user has.
+ */
+const withLocaleVocabulary = (dictionaries, pack) => {
+    const priority = { ...dictionaries.priority };
+    Object.entries(pack.priority).forEach(([level, keywords]) => {
+        priority[level] = [...(priority[level] || []), ...keywords];
+    });
+
+    const category = { ...dictionaries.category };
+    Object.entries(pack.category).forEach(([name, keywords]) => {
+        if (category[name]) category[name] = [...category[name], ...keywords];
+    });
+
+    return { ...dictionaries, priority, category, fillers: [...dictionaries.fillers, ...pack.fillers] };
+};
+
+/**
+ * Resolve parseTasks options into the context threaded through every stage.
+ *   now:       reference clock (Date, timestamp or ISO string); defaults to the current time
+ *   timeZone:  IANA zone the speaker is in; relative dates resolve against its wall clock
+ *   locale:    BCP 47 tag of the input language; picks the locale pack (see locales/index.js)
+ *   idFactory: (task, index) => id, for stable ids in tests and bug reports
+ *   dictionaries: user keyword dictionaries (see dictionaries.js); missing sections use the defaults
+ *   categories: category names the parser may assign; defaults to every category in the dictionaries
+ *   defaultCategory: category used when no keywords match (or there is a tie)
+ *   dateOrder: 'DMY' or 'MDY' for numeric dates like "12/03"; defaults from the locale's region
+ *   weekStart: first day of the week (0 = Sunday, 1 = Monday); defaults from the locale's region
+ *   learner: model learned from the user's corrections (see learner.js); optional
+ *   contacts: names of people the user has mentioned before, recognised in any case
+ */
+const createContext = (options = {}) => {
+    const now = options.now !== undefined ? new Date(options.now) : new Date();
+    if (isNaN(now.getTime())) throw new Error(`"now" must be a date or time, not "${options.now}".`);
+    const locale = options.locale || 'en-US';
+    const localePack = getLocalePack(locale);
+    const dictionaries = withLocaleVocabulary(resolveDictionaries(options.dictionaries), localePack);
+    return {
+        now: toZonedWallClock(now, options.timeZone),
+        timeZone: options.timeZone || null,
+        locale,
+        localePack,
+        idFactory: options.idFactory || createTaskId,
+        dictionaries,
+        categories: options.categories || Object.keys(dictionaries.category),
+        defaultCategory: options.defaultCategory || CATEGORIES.HOME,
+        dateOrder: ['DMY', 'MDY'].includes(options.dateOrder) ? options.dateOrder : getDefaultDateOrder(locale),
+        weekStart: Number.isInteger(options.weekStart) ? options.weekStart % 7 : getDefaultWeekStart(locale),
+        learner: options.learner || null,
+        contacts: options.contacts || []
+    };
+};
+
+/**
+ * Escape user-supplied keywords for use inside a RegExp
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whole-word RegExp for a keyword or phrase. Unlike \b this also works for
+ * accented and non-Latin words ("mañana", "कल").
+ */
+const wordRegex = (phrase, flags = 'i') =>
+    new RegExp(`(?<![\\p{L}\\p{N}\\p{M}_])${escapeRegExp(phrase)}(?![\\p{L}\\p{N}\\p{M}_])`, `${flags}u`);
+
+/**
+ * Returns the context's reference date (a copy, safe to mutate).
+ */
+const getNow = (context) => new Date(context.now);
+
+/**
+ * Midnight at the start of a date's day
+ */
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Index (0-11) of a month name or abbreviation
+ */
+const monthIndexOf = (name) => MONTHS.indexOf(name.toLowerCase().substring(0, 3));
+
+/**
+ * Four-digit year from a spoken/typed year ("27" -> 2027); null when absent
+ */
+const toFullYear = (year) => {
+    if (!year) return null;
+    return year.length <= 2 ? 2000 + parseInt(year) : parseInt(year);
+};
+
+/**
+ * Date for a day and month. With an explicit year that exact day; otherwise the
+ * next time it comes round (today counts). Null for days that don't exist.
+ */
+const resolveCalendarDate = (year, monthIndex, day, now) => {
+    if (year !== null) return createCalendarDate(year, monthIndex, day);
+
+    const today = startOfDay(now);
+    // 29 Feb can be up to four years away
+    for (let offset = 0; offset <= 4; offset++) {
+        const date = createCalendarDate(today.getFullYear() + offset, monthIndex, day);
+        if (date && date >= today) return date;
+    }
+    return null;
+};
+
+/**
+ * Numeric "a/b(/year)" date read in the preferred order, falling back to the
+ * other order when that gives an impossible date ("25/12" in MDY).
+ */
+const resolveNumericDate = (match, now, dateOrder) => {
+    const first = parseInt(match[1]);
+    const second = parseInt(match[3]);
+    const year = toFullYear(match[4]);
+    const [day, month] = dateOrder === 'MDY' ? [second, first] : [first, second];
+    return resolveCalendarDate(year, month - 1, day, now)
+        || resolveCalendarDate(year, day - 1, month, now);
+};
+
+/**
+ * First numeric date in the text. Without a year, numbers joined by "-"
+ * ("chapters 10-12", "score 3-1") and single digits joined by "." ("version
+ * 1.2") only count after a date cue ("on 3.4", "due 10-12").
+ */
+const findNumericDate = (text) => {
+    for (const match of text.matchAll(new RegExp(NUMERIC_DATE_REGEX.source, 'gi'))) {
+        const loose = !match[4] && (match[2] === '-' || (match[2] === '.' && (match[1].length < 2 || match[3].length < 2)));
+        if (!loose || /^due\s/.test(match[0]) || NUMERIC_DATE_CUE_REGEX.test(text.slice(0, match.index))) return match;
+    }
+    return null;
+};
+
+/**
+ * True when both numbers could be the month and they differ ("05/06"),
+ * so the date order setting alone decides the reading
+ */
+const isAmbiguousNumericDate = (match) => {
+    const first = parseInt(match[1]);
+    const second = parseInt(match[3]);
+    return first !== second && first <= 12 && second <= 12;
+};
+
 /**
- * Returns the current reference date.
+ * Number of units in a relative offset ("three", "21", "a couple of")
  */
-const getNow = () => new Date();
+const offsetAmount = (words) => {
+    const key = words.toLowerCase().replace(/\s+/g, ' ');
+    return key in VAGUE_AMOUNTS ? VAGUE_AMOUNTS[key] : wordsToNumber(key);
+};
+
+/**
+ * Move a date forward by `amount` days/weeks/fortnights/months/years.
+ * Months and years keep the day of month, clamped at month end.
+ */
+const applyOffset = (from, amount, unit) => {
+    const date = new Date(from);
+    if (/^day/.test(unit)) date.setDate(date.getDate() + amount);
+    else if (/^week/.test(unit)) date.setDate(date.getDate() + 7 * amount);
+    else if (/^fortnight/.test(unit)) date.setDate(date.getDate() + 14 * amount);
+    else if (/^month/.test(unit)) return addCalendarMonths(date, amount);
+    else if (/^year/.test(unit)) return addCalendarMonths(date, 12 * amount);
+    return date;
+};
 
 /**
- * Format date to DD-MMM
+ * First day of the week containing `date`, `weeksAhead` weeks on
  */
-const formatDate = (date) => {
-    if (!date) return 'Not specified';
-    const d = new Date(date);
-    const day = String(d.getDate()).padStart(2, '0');
-    const month = d.toLocaleString('default', { month: 'short' });
-    return `${day}-${month}`;
+const startOfWeek = (date, weekStart, weeksAhead = 0) => {
+    const start = startOfDay(date);
+    start.setDate(start.getDate() - ((start.getDay() - weekStart + 7) % 7) + 7 * weeksAhead);
+    return start;
+};
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+/**
+ * First working day (Mon-Fri) of the week `weeksAhead` weeks on
+ */
+const startOfWorkWeek = (now, weekStart, weeksAhead) => {
+    const date = startOfWeek(now, weekStart, weeksAhead);
+    while (isWeekend(date)) date.setDate(date.getDate() + 1);
+    return date;
+};
+
+/**
+ * Last working day of the week `weeksAhead` weeks on. When this week's has
+ * already gone (said on a Saturday), the last day of the week instead.
+ */
+const endOfWorkWeek = (now, weekStart, weeksAhead) => {
+    const lastDay = startOfWeek(now, weekStart, weeksAhead);
+    lastDay.setDate(lastDay.getDate() + 6);
+    const date = new Date(lastDay);
+    while (isWeekend(date)) date.setDate(date.getDate() - 1);
+    return date < startOfDay(now) ? lastDay : date;
+};
+
+/**
+ * Date for a quarter reference. "next quarter" and "start of ..." give its
+ * first day; everything else ("this quarter", "by Q1") its last day.
+ * A bare "Q1" means the next Q1 that hasn't finished yet.
+ */
+const resolveQuarter = (match, now) => {
+    const [, edge, which, number, year, plainEdge] = match;
+    const current = Math.floor(now.getMonth() / 3);
+    let quarterYear = now.getFullYear();
+    let quarter = current;
+
+    if (which === 'next') {
+        quarter = current + 1;
+    } else if (number) {
+        quarter = parseInt(number) - 1;
+        if (year) quarterYear = parseInt(year);
+        else if (quarter < current) quarterYear++;
+    }
+
+    const anchor = edge || plainEdge || (which === 'next' ? 'start' : 'end');
+    return anchor === 'end'
+        ? new Date(quarterYear, quarter * 3 + 3, 0)
+        : new Date(quarterYear, quarter * 3, 1);
+};
+
+/**
+ * Next date (today counts) falling on the given day of the month,
+ * skipping months too short to have it
+ */
+const nextMonthDay = (day, now) => {
+    const today = startOfDay(now);
+    for (let offset = 0; offset <= 12; offset++) {
+        const month = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+        const date = createCalendarDate(month.getFullYear(), month.getMonth(), day);
+        if (date && date >= today) return date;
+    }
+    return null;
+};
+
+/**
+ * Format a Date's clock time to HH:MM (24-hour)
+ */
+const formatTime = (date) => {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+};
+
+/**
+ * Convert digits or spoken number words ("forty five", "oh five") to a number
+ */
+const wordsToNumber = (words) => {
+    if (/^\d+$/.test(words)) return parseInt(words);
+    return words
+        .toLowerCase()
+        .split(/[\s-]+/)
+        .reduce((total, word) => total + (NUMBER_WORDS[word] || 0), 0);
 };
 
 /**
  * STEP 1: Normalization
  * Convert to lowercase, remove extra spaces, standardize filler words, expand shortcuts
  */
-const normalize = (text) => {
+const normalize = (text, context) => {
+    const { expansions, fillers } = context.dictionaries;
+    const { phrases, rewrites, numberWords } = context.localePack;
     let normalized = text.trim();
 
     // Expand common shortcuts/words
-    Object.entries(WORD_EXPANSIONS).forEach(([shortForm, expanded]) => {
-        const regex = new RegExp(`\\b${shortForm}\\b`, 'gi');
-        normalized = normalized.replace(regex, expanded);
+    Object.entries(expansions).forEach(([shortForm, expanded]) => {
+        normalized = normalized.replace(wordRegex(shortForm, 'gi'), expanded);
     });
 
     // Remove filler phrases (case insensitive)
-    FILLER_PHRASES.forEach(phrase => {
-        const regex = new RegExp(`\\b${phrase}\\b`, 'gi');
-        normalized = normalized.replace(regex, '');
+    fillers.forEach(phrase => {
+        normalized = normalized.replace(wordRegex(phrase, 'gi'), '');
+    });
+
+    // Map locale date/time words onto the English the extractors understand, longest first
+    Object.keys(phrases)
+        .sort((a, b) => b.length - a.length)
+        .forEach(phrase => {
+            normalized = normalized.replace(wordRegex(phrase, 'gi'), phrases[phrase]);
+        });
+
+    // Spoken locale numbers next to time words become digits: "at tres" -> "at 3"
+    const numbers = Object.keys(numberWords).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    if (numbers.length > 0) {
+        const words = `(?<![\\p{L}\\p{M}])(${numbers.join('|')})(?![\\p{L}\\p{M}])`;
+        const numberRegex = new RegExp(`(?<=\\b(?:at|in)\\s+)${words}|${words}(?=\\s+(?:hours?|minutes?|days?|weeks?|months?|o'clock)\\b)`, 'giu');
+        normalized = normalized.replace(numberRegex, (match, before, after) => numberWords[(before || after).toLowerCase()]);
+    }
+
+    rewrites.forEach(([pattern, replacement]) => {
+        normalized = normalized.replace(new RegExp(pattern, 'giu'), replacement);
     });
 
     // Collapse multiple spaces
@@ -99,51 +479,113 @@ const normalize = (text) => {
 
 /**
  * STEP 2: Segmentation
- * Split input into individual task segments based on delimiters
- */
-const segment = (text) => {
-    // Delimiters: " and ", ". ", ", ", " also ", " then "
-    let segmented = text
-        .replace(/\s+and\s+/gi, '|')
-        .replace(/\.\s+/g, '|')
-        .replace(/,\s+/g, '|')
-        .replace(/\s+also\s+/gi, '|')
-        .replace(/\s+then\s+/gi, '|')
+ * Split input into individual task segments.
+ * Sentence breaks and run-on cues ("oh and another thing") always split.
+ * "and", "then", "also" and commas only split when the next clause starts with a
+ * verb of its own, so "buy salt and pepper" and "call mom and dad" stay whole.
+ */
+const segment = (text, context) => {
+    // Keep recurring weekday lists together: "every tuesday and thursday" -> "every tuesday/thursday"
+    const dayList = `(?:${WEEKDAYS.join('|')})`;
+    const recurringDays = new RegExp(`\\bevery\\s+${dayList}(?:\\s*(?:,|\\band\\b)\\s*${dayList})+`, 'gi');
+    const protectedText = text.replace(recurringDays, match =>
+        match.replace(/\s*(?:,|\band\b)\s*/gi, '/')
+    );
+
+    // Hard breaks: run-on cues, sentence ends, semicolons, new lines.
+    // A "!" only ends a sentence when attached to a word, so "!!" stays an override token.
+    const cues = [...RUN_ON_CUES].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const hardBreaks = protectedText
+        .replace(new RegExp(`[,.]?\\s*\\b(?:${cues})\\b[,:]?\\s*`, 'gi'), '|')
+        .replace(/[.?;]\s+|(?<=[^\s!])!+\s+/g, '|')
         .replace(/\n+/g, '|');
 
-    // Split and filter empty segments
-    return segmented
+    const localeDelimiters = context.localePack.delimiters.map(escapeRegExp).join('|');
+    const localeBoundary = localeDelimiters && new RegExp(`\\s+(?:${localeDelimiters})(?=\\s)`, 'giu');
+    const softBoundary = /\s*,\s*(?:(?:and|then|also)\s+)*|\s+(?:(?:and|then|also)\s+)+/gi;
+
+    // Locale packs don't know verbs, so their delimiters ("y", "und", "aur") always split
+    const splitChunk = (chunk) => (localeBoundary ? splitClauses(chunk, localeBoundary, () => true, context) : [chunk])
+        .flatMap(part => splitClauses(part, softBoundary, startsNewTask, context));
+
+    return hardBreaks
         .split('|')
+        // A checklist ("pack for trip: passport, charger and tickets") stays one task
+        .flatMap(chunk => (findChecklist(chunk, context) ? [chunk] : splitChunk(chunk)))
         .map(s => s.trim())
         .filter(s => s.length > 2);
 };
 
+/**
+ * Split `chunk` at each `boundary` match where `shouldSplit(restOfText)` agrees,
+ * never inside a protected phrase ("salt and pepper")
+ */
+const splitClauses = (chunk, boundary, shouldSplit, context) => {
+    const protectedSpans = [];
+    context.dictionaries.protectedPhrases.forEach(phrase => {
+        for (const match of chunk.matchAll(wordRegex(phrase, 'gi'))) {
+            protectedSpans.push([match.index, match.index + match[0].length]);
+        }
+    });
+
+    const pieces = [];
+    let start = 0;
+    for (const match of chunk.matchAll(boundary)) {
+        if (match[0].length === 0) continue;
+        const end = match.index + match[0].length;
+        const isProtected = protectedSpans.some(([from, to]) => match.index > from && match.index < to);
+        if (!isProtected && shouldSplit(chunk.slice(end))) {
+            pieces.push(chunk.slice(start, match.index));
+            start = end;
+        }
+    }
+    pieces.push(chunk.slice(start));
+    return pieces;
+};
+
+/**
+ * Does this clause start a task of its own? True when it opens with a verb
+ * ("...and buy milk"), false for noun phrases ("...and pepper") and for
+ * follow-on steps that point back at the last task ("...then send it").
+ */
+const startsNewTask = (clause) => {
+    const words = clause.toLowerCase().match(/[\p{L}']+/gu) || [];
+    let i = 0;
+    while (i < words.length && CLAUSE_LEAD_INS.includes(words[i])) i++;
+    if (!TASK_VERBS.includes(words[i])) return false;
+    return !OBJECT_PRONOUNS.includes(words[i + 1]);
+};
+
 /**
  * STEP 3a: Extract Priority
- * Returns: { priority: string, cleaned: string }
+ * Returns: { priority: string, confidence: { score, reason }, cleaned: string }
  */
-const extractPriority = (text) => {
+const extractPriority = (text, context) => {
+    const keywords = context.dictionaries.priority;
     const lowerText = text.toLowerCase();
     let priority = 'Medium'; // Default
     let cleaned = text;
+    let confidence = rate(0.6, 'No priority words, so Medium');
 
     // Check URGENT keywords
-    for (const keyword of PRIORITY_KEYWORDS.URGENT) {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+    for (const keyword of keywords.URGENT || []) {
+        const regex = wordRegex(keyword, 'gi');
         if (regex.test(lowerText)) {
             priority = 'High';
             cleaned = cleaned.replace(regex, '');
+            confidence = rate(0.9, `Said "${keyword}"`);
             break;
         }
     }
 
     // Check HIGH keywords (if not already urgent)
     if (priority !== 'High') {
-        for (const keyword of PRIORITY_KEYWORDS.HIGH) {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+        for (const keyword of keywords.HIGH || []) {
+            const regex = wordRegex(keyword, 'gi');
             if (regex.test(lowerText)) {
                 priority = 'High';
                 cleaned = cleaned.replace(regex, '');
+                confidence = rate(0.9, `Said "${keyword}"`);
                 break;
             }
         }
@@ -151,75 +593,112 @@ const extractPriority = (text) => {
 
     // Check LOW keywords
     if (priority === 'Medium') {
-        for (const keyword of PRIORITY_KEYWORDS.LOW) {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+        for (const keyword of keywords.LOW || []) {
+            const regex = wordRegex(keyword, 'gi');
             if (regex.test(lowerText)) {
                 priority = 'Low';
                 cleaned = cleaned.replace(regex, '');
+                confidence = rate(0.9, `Said "${keyword}"`);
                 break;
             }
         }
     }
 
-    return { priority, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+    // No keyword either way: go with the user's corrections when they're clear
+    if (priority === 'Medium') {
+        const learned = classify(context.learner, 'urgency', text, URGENCY_LEVELS);
+        const best = learned && URGENCY_LEVELS.reduce((a, b) => (learned[b] > learned[a] ? b : a));
+        if (best && learned[best] >= LEARNED_URGENCY_THRESHOLD) {
+            priority = best;
+            confidence = rate(learned[best], 'Learned from your corrections');
+        }
+    }
+
+    return { priority, confidence, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
 };
 
 /**
  * STEP 3b: Extract Category/Tag
- * Returns: { category: string, cleaned: string }
+ * Returns: { category: string, confidence: { score, reason }, cleaned: string }
  */
-const extractCategory = (text) => {
+const extractCategory = (text, context) => {
     const lowerText = text.toLowerCase();
-    let category = CATEGORIES.HOME; // Default
-    let workScore = 0;
-    let homeScore = 0;
-
-    // Count WORK keywords
-    CATEGORY_KEYWORDS.WORK.forEach(keyword => {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-        if (regex.test(lowerText)) workScore++;
-    });
+    let category = context.defaultCategory;
+    let bestScore = 0;
+    let bestKeywordScore = 0;
+    let tiedWith = [];
+
+    // What the user's corrections suggest (null until there are enough of them)
+    const learned = classify(context.learner, 'category', text, context.categories);
+
+    // Score every category by the (weighted) keywords it hits, plus the learned probability
+    context.categories.forEach(name => {
+        const keywords = context.dictionaries.category[name] || [];
+        const keywordScore = keywords.reduce((total, entry) => {
+            const regex = wordRegex(keywordOf(entry));
+            return regex.test(lowerText) ? total + weightOf(entry) : total;
+        }, 0);
+        const score = keywordScore + (learned ? LEARNED_CATEGORY_WEIGHT * learned[name] : 0);
 
-    // Count HOME keywords
-    CATEGORY_KEYWORDS.HOME.forEach(keyword => {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-        if (regex.test(lowerText)) homeScore++;
+        if (score > bestScore) {
+            category = name;
+            bestScore = score;
+            bestKeywordScore = keywordScore;
+            tiedWith = [];
+        } else if (score > 0 && score === bestScore) {
+            tiedWith.push(name);
+        }
     });
 
-    // WORK wins if it has more hits
-    if (workScore > 0 && workScore > homeScore) {
-        category = CATEGORIES.WORK;
+    // A category only wins with a clear lead; ties fall back to the default
+    if (tiedWith.length > 0) {
+        const reason = `Tied between ${[category, ...tiedWith].join(' and ')}`;
+        return { category: context.defaultCategory, confidence: rate(0.4, reason), cleaned: text };
+    }
+
+    let confidence = rate(0.6, `No category words, so ${category}`);
+    if (bestKeywordScore > 0) {
+        confidence = rate(0.9, 'Category words');
+    } else if (bestScore > 0) {
+        confidence = rate(learned[category], 'Learned from your corrections');
     }
 
-    return { category, cleaned: text };
+    return { category, confidence, cleaned: text };
 };
 
 /**
  * STEP 3c: Extract Date
- * Returns: { date: Date|null, cleaned: string }
+ * Returns: { date: Date|null, confidence: { score, reason }, cleaned: string }
  */
-const extractDate = (text) => {
+const extractDate = (text, context) => {
     const lowerText = text.toLowerCase();
-    const now = getNow();
+    const now = getNow(context);
     let date = null;
     let cleaned = text;
+    let confidence = null;
 
     // 1. Time-of-day qualifiers (extract for urgency, not for date calculation)
     const hasUrgentTiming = /\b(tonight|this morning|by end of day|end of day|eod|today|asap)\b/i.test(lowerText);
 
-    // 2. Shortcut: "EOD" -> Today
-    if (/\beod\b/i.test(lowerText)) {
+    // 2. Shortcut: "EOD", "end of the day" -> Today
+    if (/\b(?:eod|(?:the\s+)?end\s+of\s+(?:the\s+)?day)\b/i.test(lowerText)) {
         date = new Date(now);
-        cleaned = cleaned.replace(/\beod\b/gi, '');
+        cleaned = cleaned.replace(/\b(?:eod|(?:the\s+)?end\s+of\s+(?:the\s+)?day)\b/gi, '');
     }
 
-    // 3. Relative: "in next X days" (e.g., "in next 2 days")
-    else if (/in next (\d+) days?/i.test(lowerText)) {
-        const match = lowerText.match(/in next (\d+) days?/i);
-        const days = parseInt(match[1]);
+    // 3. Relative: "day after tomorrow", "in three weeks", "a month from now", "in next 2 days"
+    else if (DAY_AFTER_TOMORROW_REGEX.test(lowerText)) {
         date = new Date(now);
-        date.setDate(date.getDate() + days);
-        cleaned = cleaned.replace(/in next \d+ days?/gi, '');
+        date.setDate(date.getDate() + 2);
+        cleaned = cleaned.replace(new RegExp(DAY_AFTER_TOMORROW_REGEX.source, 'gi'), '');
+    }
+    else if (RELATIVE_OFFSET_REGEX.test(lowerText)) {
+        const match = lowerText.match(RELATIVE_OFFSET_REGEX);
+        const amount = offsetAmount(match[1] || match[4]);
+        const base = new Date(now);
+        if ((match[3] || match[6]) === 'tomorrow') base.setDate(base.getDate() + 1);
+        date = applyOffset(base, amount, match[2] || match[5]);
+        cleaned = cleaned.replace(new RegExp(RELATIVE_OFFSET_REGEX.source, 'gi'), '');
     }
 
     // 4. Weekend reference
@@ -233,27 +712,45 @@ const extractDate = (text) => {
         cleaned = cleaned.replace(/\b(this\s+)?(weekend)\b/gi, '');
     }
 
-    // 5. This month reference
-    else if (/\b(this\s+)?month|sometime\s+this\s+month\b/i.test(lowerText)) {
-        date = new Date(now);
-        const mid = 15; // Mid-month default
-        date.setDate(mid);
-        if (date < now) {
-            date.setDate(Math.min(28, now.getDate() + 5)); // Avoid end of month
-        }
-        cleaned = cleaned.replace(/\b(this\s+)?month|sometime\s+this\s+month\b/gi, '');
+    // 5. Week anchors: "end of the week" -> last working day, "next week" -> its first working day
+    else if (END_OF_WEEK_REGEX.test(lowerText)) {
+        const match = lowerText.match(END_OF_WEEK_REGEX);
+        date = endOfWorkWeek(now, context.weekStart, match[1] ? 1 : 0);
+        cleaned = cleaned.replace(new RegExp(END_OF_WEEK_REGEX.source, 'gi'), '');
+    }
+    else if (NEXT_WEEK_REGEX.test(lowerText)) {
+        date = startOfWorkWeek(now, context.weekStart, 1);
+        cleaned = cleaned.replace(new RegExp(NEXT_WEEK_REGEX.source, 'gi'), '');
     }
 
-    // 6. Next week reference
-    else if (/\b(next\s+week)\b/i.test(lowerText)) {
-        date = new Date(now);
-        date.setDate(now.getDate() + 7);
-        cleaned = cleaned.replace(/\b(next\s+week)\b/gi, '');
+    // 6. Month, quarter and year anchors: "end of month" -> last day, "next month" -> the 1st
+    else if (END_OF_MONTH_REGEX.test(lowerText)) {
+        const match = lowerText.match(END_OF_MONTH_REGEX);
+        date = new Date(now.getFullYear(), now.getMonth() + (match[1] ? 2 : 1), 0);
+        cleaned = cleaned.replace(new RegExp(END_OF_MONTH_REGEX.source, 'gi'), '');
+    }
+    else if (NEXT_MONTH_REGEX.test(lowerText)) {
+        date = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        cleaned = cleaned.replace(new RegExp(NEXT_MONTH_REGEX.source, 'gi'), '');
+    }
+    else if (QUARTER_REGEX.test(lowerText)) {
+        const match = lowerText.match(QUARTER_REGEX);
+        date = resolveQuarter(match, now);
+        cleaned = cleaned.replace(new RegExp(QUARTER_REGEX.source, 'gi'), '');
+    }
+    else if (END_OF_YEAR_REGEX.test(lowerText)) {
+        date = new Date(now.getFullYear(), 11, 31);
+        cleaned = cleaned.replace(new RegExp(END_OF_YEAR_REGEX.source, 'gi'), '');
+    }
+    else if (/\bnext\s+year\b/i.test(lowerText)) {
+        date = new Date(now.getFullYear() + 1, 0, 1);
+        cleaned = cleaned.replace(/\bnext\s+year\b/gi, '');
     }
 
     // 7. Summer/seasonal reference - set to mid-June as placeholder
     else if (/\b(summer\s+)?(holiday|vacation|travel)\b/i.test(lowerText)) {
-        date = null; // Will stay as null, converted to "Not specified"
+        date = null; // Will stay as null (no due date)
+        confidence = rate(0.4, 'Vague timing, no date set');
         cleaned = cleaned.replace(/\b(summer\s+)?(holiday|vacation|travel)\b/gi, '');
     }
 
@@ -288,67 +785,580 @@ const extractDate = (text) => {
         cleaned = cleaned.replace(/\b(on|next|by)?\s*(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi, '');
     }
 
-    // 10. Explicit Date: "3rd Jan", "Jan 15", "15 Feb", "15th February"
-    else if (/\b(\d{1,2})(st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i.test(lowerText)) {
-        const match = lowerText.match(/\b(\d{1,2})(st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*/i);
-        const day = parseInt(match[1]);
-        const monthStr = match[3].toLowerCase();
-        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-        const monthIndex = months.indexOf(monthStr.substring(0, 3));
+    // 10. Explicit Date: "3rd Jan", "Jan 15", "15 Feb", "15th of February 2027"
+    else if (DAY_MONTH_REGEX.test(lowerText)) {
+        const match = lowerText.match(DAY_MONTH_REGEX);
+        date = resolveCalendarDate(toFullYear(match[3]), monthIndexOf(match[2]), parseInt(match[1]), now);
+        cleaned = cleaned.replace(new RegExp(DAY_MONTH_REGEX.source, 'gi'), '');
+    }
+    else if (MONTH_DAY_REGEX.test(lowerText)) {
+        const match = lowerText.match(MONTH_DAY_REGEX);
+        date = resolveCalendarDate(toFullYear(match[3]), monthIndexOf(match[1]), parseInt(match[2]), now);
+        cleaned = cleaned.replace(new RegExp(MONTH_DAY_REGEX.source, 'gi'), '');
+    }
 
-        if (monthIndex !== -1) {
-            let year = now.getFullYear();
-            date = new Date(year, monthIndex, day);
+    // 11. ISO Date: "2026-11-05", "2026/11/05"
+    else if (ISO_DATE_REGEX.test(lowerText)) {
+        const match = lowerText.match(ISO_DATE_REGEX);
+        date = createCalendarDate(parseInt(match[1]), parseInt(match[3]) - 1, parseInt(match[4]));
+        cleaned = cleaned.replace(new RegExp(ISO_DATE_REGEX.source, 'gi'), '');
+    }
 
-            // If date is in the past, assume next year
-            if (date < now) {
-                year++;
-                date = new Date(year, monthIndex, day);
-            }
+    // 12. Numeric Date: "12/03", "15.02", "12/03/27" - day/month order from context.dateOrder
+    else if (findNumericDate(lowerText)) {
+        const match = findNumericDate(lowerText);
+        date = resolveNumericDate(match, now, context.dateOrder);
+        if (date) {
+            cleaned = cleaned.replace(match[0], '');
+            if (isAmbiguousNumericDate(match)) confidence = rate(0.5, `"${match[0].trim()}" reads as day/month or month/day`);
         }
+    }
+
+    // 13. Bare ordinal: "on the 21st" -> next occurrence of that day of month
+    else if (ORDINAL_DAY_REGEX.test(lowerText)) {
+        const match = lowerText.match(ORDINAL_DAY_REGEX);
+        date = nextMonthDay(parseInt(match[1] || match[2]), now);
+        cleaned = cleaned.replace(new RegExp(ORDINAL_DAY_REGEX.source, 'gi'), '');
+    }
 
-        cleaned = cleaned.replace(/\b\d{1,2}(st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*/gi, '');
+    // 14. If date is null (not found in text), leave it null (no due date)
+    // Otherwise return the found date
+    if (!confidence) {
+        confidence = date ? rate(0.9, 'Date phrase') : rate(1, 'No date mentioned');
     }
-    else if (/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})(st|nd|rd|th)?\b/i.test(lowerText)) {
-        const match = lowerText.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})(st|nd|rd|th)?\b/i);
-        const monthStr = match[1].toLowerCase();
-        const day = parseInt(match[2]);
-        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-        const monthIndex = months.indexOf(monthStr.substring(0, 3));
 
-        if (monthIndex !== -1) {
-            let year = now.getFullYear();
-            date = new Date(year, monthIndex, day);
+    return { date, confidence, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * STEP 3d: Extract Time
+ * Returns: { time: string|null, date: Date|null, cleaned: string }
+ * time is HH:MM (24-hour); date is only set when the time itself pins the day
+ * ("in 2 hours", "tonight").
+ */
+const extractTime = (text, context) => {
+    const lowerText = text.toLowerCase();
+    const now = getNow(context);
+    let time = null;
+    let date = null;
+    let cleaned = text;
 
-            // If date is in the past, assume next year
-            if (date < now) {
-                year++;
-                date = new Date(year, monthIndex, day);
+    const UNITS = SPOKEN_UNITS;
+    const TEENS = SPOKEN_TEENS;
+    const HOURS = `${TEENS.split('|').slice(0, 3).join('|')}|${UNITS}`;
+    const MINUTES = `oh\\s+(?:${UNITS})|${TEENS}|(?:twenty|thirty|forty|fifty)(?:[\\s-](?:${UNITS}))?`;
+    const AMOUNT = SPOKEN_AMOUNT;
+    const MERIDIEM = '(a\\.?m\\.?|p\\.?m\\.?)(?![a-z])';
+
+    // Time-of-day words double as an am/pm hint for bare hours ("at 7 in the evening")
+    const bucketMatch = lowerText.match(/\b(morning|afternoon|evening|night|tonight)\b/);
+    const bucket = bucketMatch ? bucketMatch[1] : null;
+    const hint = bucket ? (bucket === 'morning' ? 'am' : 'pm') : null;
+
+    const removeMatch = (match) => {
+        cleaned = cleaned.slice(0, match.index) + ' ' + cleaned.slice(match.index + match[0].length);
+    };
+
+    const toClock = (hours, minutes, meridiem, inferMeridiem = true) => {
+        const period = meridiem ? meridiem.replace(/\./g, '') : hint;
+        if (period === 'pm' && hours < 12) hours += 12;
+        else if (period === 'am' && hours === 12) hours = 0;
+        // No am/pm at all: 1-6 is almost always afternoon for a task
+        else if (!period && inferMeridiem && hours >= 1 && hours <= 6) hours += 12;
+
+        if (hours > 23 || minutes > 59) return null;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    };
+
+    let match;
+    // "in an hour", "in an hour and a half", "in 2 hours and 30 minutes"
+    const RELATIVE_REGEX = new RegExp(
+        `\\bin\\s+(half\\s+an|a\\s+couple\\s+of|a\\s+few|an?|\\d+|${AMOUNT})\\s+(hours?|hrs?|minutes?|mins?)\\b` +
+        `(\\s+and\\s+a\\s+half)?(?:\\s+and\\s+(\\d+|${AMOUNT})\\s+(?:minutes?|mins?)\\b)?`
+    );
+
+    // 1. Named times: "noon", "midday", "midnight"
+    if ((match = lowerText.match(/\b(?:at\s+)?(noon|midday|midnight)\b/))) {
+        time = match[1] === 'midnight' ? '00:00' : '12:00';
+        removeMatch(match);
+    }
+
+    // 2. Past/to: "half past nine", "quarter to five", "10 past 6"
+    else if ((match = lowerText.match(new RegExp(`\\b(?:at\\s+)?(half|quarter|\\d{1,2}|${AMOUNT})\\s+(past|to)\\s+(\\d{1,2}|${HOURS})\\b(?:\\s*${MERIDIEM})?`)))) {
+        let minutes = match[1] === 'half' ? 30 : match[1] === 'quarter' ? 15 : wordsToNumber(match[1]);
+        let hours = wordsToNumber(match[3]);
+        if (match[2] === 'to') {
+            minutes = 60 - minutes;
+            hours = hours === 1 ? 12 : hours - 1;
+        }
+        time = toClock(hours, minutes, match[4]);
+        if (time) removeMatch(match);
+    }
+
+    // 3. Digits with am/pm: "3pm", "3 pm", "3:30pm", "3.30 p.m."
+    else if ((match = lowerText.match(new RegExp(`\\b(?:at\\s+)?(\\d{1,2})(?:[:.](\\d{2}))?\\s*${MERIDIEM}`)))) {
+        time = toClock(parseInt(match[1]), match[2] ? parseInt(match[2]) : 0, match[3]);
+        if (time) removeMatch(match);
+    }
+
+    // 4. Clock format: "15:30", "9:00", "at 9.30"
+    else if ((match = lowerText.match(/\b(at\s+)?(\d{1,2})([:.])(\d{2})\b/)) && (match[3] === ':' || match[1])) {
+        time = toClock(parseInt(match[2]), parseInt(match[4]), null, !match[2].startsWith('0'));
+        if (time) removeMatch(match);
+    }
+
+    // 5. O'clock and bare "at 5": "5 o'clock", "at 5"
+    else if ((match = lowerText.match(/\b(?:at\s+)?(\d{1,2})\s+o'?clock\b|\bat\s+(\d{1,2})\b(?![:./]|\s*(?:st|nd|rd|th)\b)/))) {
+        time = toClock(parseInt(match[1] || match[2]), 0);
+        if (time) removeMatch(match);
+    }
+
+    // 6. Spoken: "three thirty", "at seven", "nine o'clock", "eleven fifteen am"
+    else {
+        const spokenRegex = new RegExp(`\\b(at\\s+)?(${HOURS})\\b(?:\\s+(o'?clock|${MINUTES})\\b)?(?:\\s*${MERIDIEM})?`, 'g');
+        for (const candidate of lowerText.matchAll(spokenRegex)) {
+            // A lone number word is only a time when something marks it as one
+            if (!candidate[1] && !candidate[3] && !candidate[4]) continue;
+            const minutes = candidate[3] && !/clock/.test(candidate[3]) ? wordsToNumber(candidate[3]) : 0;
+            time = toClock(wordsToNumber(candidate[2]), minutes, candidate[4]);
+            if (time) {
+                removeMatch(candidate);
+                break;
             }
         }
+    }
+
+    // 7. Relative: "in 2 hours", "in 30 minutes", "in an hour", "in half an hour".
+    // A clock time said as well wins ("at 3pm, in 2 hours"); the offset is dropped.
+    if ((match = cleaned.toLowerCase().match(RELATIVE_REGEX))) {
+        if (!time) {
+            let amount;
+            if (match[1].startsWith('half')) amount = 0.5;
+            else amount = VAGUE_AMOUNTS[match[1].replace(/\s+/g, ' ')] || wordsToNumber(match[1]);
+
+            if (match[3]) amount += 0.5;
+
+            const minutes = (/^h/.test(match[2]) ? amount * 60 : amount) + (match[4] ? wordsToNumber(match[4]) : 0);
+            date = new Date(now.getTime() + minutes * 60000);
+            time = formatTime(date);
+        }
+        removeMatch(match);
+    }
 
-        cleaned = cleaned.replace(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2}(st|nd|rd|th)?\b/gi, '');
+    // 8. Time-of-day buckets: "this morning", "in the evening", "tonight"
+    if (!time && bucket) {
+        time = TIME_OF_DAY_DEFAULTS[bucket];
     }
+    if (bucket === 'tonight' && !date) {
+        date = new Date(now);
+    }
+    // "tonight" is left for the date/priority stages, which also act on it
+    cleaned = cleaned.replace(/\b(?:in\s+the\s+|this\s+|at\s+)?(morning|afternoon|evening|night)\b/gi, '');
 
-    // 11. If date is null (not found in text), leave it null for "Not specified"
-    // Otherwise return the found date
+    return { time, date, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * STEP 3e: Extract Recurrence
+ * Returns: { recurrence: object|null, cleaned: string }
+ * See recurrence.js for the rule shape.
+ */
+const extractRecurrence = (text) => {
+    const lowerText = text.toLowerCase();
+    let recurrence = null;
+    let cleaned = text;
+
+    const DAY = `(?:${WEEKDAYS.join('|')})`;
+    const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+    const UNIT_FREQUENCIES = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+    let match;
+
+    // 1. Day-of-month: "first of the month", "15th of every month", "last day of each month"
+    if ((match = lowerText.match(/\b(?:on\s+)?(?:the\s+)?(first|second|third|fourth|fifth|last|\d{1,2}(?:st|nd|rd|th)?)\s+(?:day\s+)?of\s+(?:the|every|each)\s+month\b/))) {
+        const monthDay = ORDINALS[match[1]] || parseInt(match[1]);
+        if (monthDay === -1 || (monthDay >= 1 && monthDay <= 31)) {
+            recurrence = { frequency: 'monthly', interval: 1, monthDay };
+            cleaned = cleaned.replace(new RegExp(match[0], 'i'), '');
+        }
+    }
+
+    // 2. Weekday lists: "every monday", "every tuesday/thursday", "on mondays"
+    else if ((match = lowerText.match(new RegExp(`\\b(?:every|each)\\s+(${DAY}(?:\\s*(?:/|,|and)\\s*${DAY})*)\\b|\\bon\\s+(${DAY})s\\b`)))) {
+        const weekdays = (match[1] || match[2])
+            .split(/\s*(?:\/|,|and)\s*/)
+            .map(day => WEEKDAYS.indexOf(day))
+            .filter(day => day !== -1);
+        recurrence = { frequency: 'weekly', interval: 1, weekdays: [...new Set(weekdays)].sort() };
+        cleaned = cleaned.replace(new RegExp(match[0].replace(/\//g, '\\/'), 'i'), '');
+    }
+
+    // 3. Weekdays/weekends: "every weekday", "on weekends"
+    else if ((match = lowerText.match(/\b(?:every|each|on)\s+(weekday|weekend)s?\b/))) {
+        const weekdays = match[1] === 'weekday' ? [1, 2, 3, 4, 5] : [0, 6];
+        recurrence = { frequency: 'weekly', interval: 1, weekdays };
+        cleaned = cleaned.replace(new RegExp(match[0], 'i'), '');
+    }
+
+    // 4. Intervals: "every day", "every other week", "every 3 months", "each year"
+    else if ((match = lowerText.match(/\b(?:every|each)\s+(?:(other|second|\d+)\s+)?(day|week|month|year)s?\b/))) {
+        const interval = match[1] ? (match[1] === 'other' || match[1] === 'second' ? 2 : parseInt(match[1])) : 1;
+        recurrence = { frequency: UNIT_FREQUENCIES[match[2]], interval };
+        cleaned = cleaned.replace(new RegExp(match[0], 'i'), '');
+
+        // "every month on the 15th"
+        const dayMatch = recurrence.frequency === 'monthly' && cleaned.match(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/i);
+        if (dayMatch && parseInt(dayMatch[1]) <= 31) {
+            recurrence.monthDay = parseInt(dayMatch[1]);
+            cleaned = cleaned.replace(dayMatch[0], '');
+        }
+    }
+
+    // 5. Adverbs: "daily", "weekly", "fortnightly", "annually"
+    else if ((match = lowerText.match(/\b(daily|weekly|monthly|yearly|annually|fortnightly|biweekly)\b/))) {
+        const frequencies = { annually: 'yearly', fortnightly: 'weekly', biweekly: 'weekly' };
+        const interval = match[1] === 'fortnightly' || match[1] === 'biweekly' ? 2 : 1;
+        recurrence = { frequency: frequencies[match[1]] || match[1], interval };
+        cleaned = cleaned.replace(new RegExp(`\\b${match[1]}\\b`, 'i'), '');
+    }
+
+    // 6. Time-of-day repeats: "every morning", "every night" (the time stage keeps the bucket word)
+    else if ((match = lowerText.match(/\b(?:every|each)\s+(?=(?:morning|afternoon|evening|night)\b)/))) {
+        recurrence = { frequency: 'daily', interval: 1 };
+        cleaned = cleaned.replace(new RegExp(match[0], 'i'), '');
+    }
+
+    return { recurrence, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * STEP 3f: Extract Estimate
+ * Returns: { estimate: number|null, cleaned: string }
+ * estimate is the expected effort in minutes: "spend 30 minutes on the slides",
+ * "2 hour deep work", "an hour and a half", "1h30", "20 to 30 mins" (the upper bound).
+ * "in 2 hours" (and "in half an hour", "in a couple of hours") is a time, not
+ * an effort, and is left for extractTime.
+ */
+const extractEstimate = (text) => {
+    const lowerText = text.toLowerCase();
+    let estimate = null;
+    let cleaned = text;
+
+    const NUMBER = '\\d+(?:\\.\\d+)?';
+    const AMOUNT = `${NUMBER}(?:\\s*(?:-|to)\\s*${NUMBER})?|half\\s+an?|an?|a\\s+couple\\s+of|couple\\s+of|a\\s+few|few|${SPOKEN_AMOUNT}`;
+    const LEAD_IN = '(?:\\b(?:spend|spending|takes?|taking|allow|block|for|about|around|roughly|approximately)\\s+)*';
+    const NOT_RELATIVE = '(?<!\\b(?:in|within|after|every)\\s+(?:(?:about|around|roughly)\\s+)?)';
+    const UNIT = '(hours?|hrs?|h|minutes?|mins?|m)';
+    const ESTIMATE_REGEX = new RegExp(
+        `${LEAD_IN}${NOT_RELATIVE}\\b(${AMOUNT})(\\s+and\\s+a\\s+half)?[\\s-]*${UNIT}(?![a-z])(\\s+and\\s+a\\s+half)?` +
+        `(?:\\s*(?:and\\s+)?(\\d{1,2})\\s*(?:minutes?|mins?|m)?\\b)?`, 'g'
+    );
+    // Whole relative phrases ("in half an hour", "in 2 hours and 30 minutes"); no
+    // amount inside one is an effort, even where the lookbehind can't see "in"
+    const RELATIVE_SPAN_REGEX = new RegExp(
+        `\\b(?:in|within|after|every)\\s+(?:(?:about|around|roughly)\\s+)?(?:${AMOUNT})(?:\\s+and\\s+a\\s+half)?[\\s-]*${UNIT}(?![a-z])` +
+        `(?:\\s+and\\s+a\\s+half)?(?:\\s+and\\s+(?:${AMOUNT})[\\s-]*${UNIT}(?![a-z]))?`, 'g'
+    );
+    const relativeSpans = [...lowerText.matchAll(RELATIVE_SPAN_REGEX)].map(span => [span.index, span.index + span[0].length]);
+    const isRelative = (candidate) => relativeSpans.some(([start, end]) =>
+        candidate.index < end && candidate.index + candidate[0].length > start);
+
+    const match = [...lowerText.matchAll(ESTIMATE_REGEX)].find(candidate => !isRelative(candidate));
+    if (match) {
+        const amountText = match[1].replace(/\s+/g, ' ');
+        let amount;
+        if (/^half/.test(amountText)) amount = 0.5;
+        else if (/couple/.test(amountText)) amount = 2;
+        else if (/few/.test(amountText)) amount = 3;
+        else if (amountText === 'a' || amountText === 'an') amount = 1;
+        else if (/^\d/.test(amountText)) amount = parseFloat(amountText.split(/\s*(?:-|to)\s*/).pop());
+        else amount = wordsToNumber(amountText);
+
+        if (match[2] || match[4]) amount += 0.5;
+        const isHours = /^h/.test(match[3]);
+        // Trailing minutes only make sense after hours: "1h30", "2 hours 15"
+        const extraMinutes = isHours && match[5] ? parseInt(match[5]) : 0;
+
+        if (amount > 0) {
+            estimate = Math.round(isHours ? amount * 60 + extraMinutes : amount);
+            const matched = isHours || !match[5] ? match[0] : match[0].slice(0, match[0].lastIndexOf(match[5])).trimEnd();
+            cleaned = cleaned.replace(new RegExp(escapeRegExp(matched), 'i'), '');
+        }
+    }
+
+    return { estimate, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * STEP 3g: Extract People
+ * Returns: { people: string[] } - the text is left as it is ("Call John" keeps John).
+ * People come from relationship words ("mother", "boss"), and from learned
+ * contacts and capitalized names that follow a person cue ("call", "with");
+ * "and" only continues a list of people ("with Sarah and Tom"). "Visit Paris
+ * with John" names only John: a place cue's name counts when it's the only one.
+ */
+const extractPeople = (text, context) => {
+    const people = [];
+    const add = (name) => {
+        if (!people.some(person => person.toLowerCase() === name.toLowerCase())) people.push(name);
+    };
+    const cues = new Set([...PERSON_CUES, ...(context.localePack.personCues || [])]);
+    // "Monday/Wednesday" (joined recurrence days) is two words
+    const words = text.replace(/\//g, ' / ').split(/\s+/);
+    const bare = (raw) => raw.replace(/^[^\p{L}]+|[^\p{L}']+$/gu, '').replace(/'s$/i, '');
+    const isCue = (index, found) => {
+        const previous = bare(words[index - 1] || '').toLowerCase();
+        return cues.has(previous) && (previous !== 'and' || found);
+    };
+
+    // 1. Learned contacts, in any case after a cue ("call priya" -> "Priya"); capitalized anywhere
+    context.contacts.forEach(contact => {
+        const length = contact.split(/\s+/).length;
+        const found = words.some((raw, index) => {
+            const phrase = words.slice(index, index + length).map(bare).join(' ');
+            if (phrase.toLowerCase() !== contact.toLowerCase()) return false;
+            return /^\p{Lu}/u.test(phrase) || isCue(index, people.length > 0);
+        });
+        if (found) add(contact);
+    });
+
+    // 2. Relationship words
+    RELATIONSHIP_WORDS.forEach(word => {
+        if (wordRegex(word).test(text)) add(word.charAt(0).toUpperCase() + word.slice(1));
+    });
+
+    // 3. Capitalized names after a cue: "Priya Sharma", "John's". Skipped where every noun is capitalized.
+    if (!context.localePack.capitalizesNouns) {
+        // Category names and keywords are things ("Budget"), not people
+        const notNames = new Set([
+            ...NOT_NAMES, ...TASK_VERBS, ...context.categories.map(name => name.toLowerCase()),
+            ...Object.values(context.dictionaries.category).flat().map(entry => keywordOf(entry).toLowerCase())
+        ]);
+        let current = [];
+        let listed = false;
+        let placeCued = false;
+        const maybePlaces = [];
+        const flush = () => {
+            if (current.length > 0) {
+                if (placeCued) maybePlaces.push(current.join(' '));
+                else add(current.join(' '));
+                listed = true;
+            }
+            current = [];
+        };
+
+        words.forEach((raw, index) => {
+            const word = bare(raw);
+            const capitalized = index > 0 && /^\p{Lu}\p{Ll}/u.test(word) && !notNames.has(word.toLowerCase());
+            const isName = capitalized && (current.length > 0 || isCue(index, listed));
+
+            if (isName) {
+                // "and" carries on the cue of the list it continues
+                const cue = bare(words[index - 1]).toLowerCase();
+                if (current.length === 0 && cue !== 'and') placeCued = PLACE_CUES.includes(cue);
+                current.push(word);
+            } else {
+                flush();
+                if (word.toLowerCase() !== 'and') listed = false;
+            }
+            if (/[,.;:!?]$/.test(raw) || /'s$/i.test(raw.replace(/[^\p{L}']+$/u, ''))) flush();
+        });
+        flush();
+        if (people.length === 0) maybePlaces.forEach(add);
+    }
+
+    return { people };
+};
+
+/**
+ * STEP 3h: Extract Context
+ * Returns: { taskContext: string|null, cleaned: string }
+ * Where the task can be done: "@office", "when I'm at the bank", "at the chemist"
+ * (known places, named by their CONTEXT_PLACES key). An errand like "buy groceries"
+ * implies a place but stays in the description.
+ */
+const extractContext = (text) => {
+    const lowerText = text.toLowerCase();
+    let taskContext = null;
+    let cleaned = text;
+
+    const synonyms = Object.entries(CONTEXT_PLACES)
+        .flatMap(([name, words]) => words.map(word => ({ name, word })))
+        .sort((a, b) => b.word.length - a.word.length);
+    const PLACE = synonyms.map(({ word }) => escapeRegExp(word)).join('|');
+    const placeName = (word) => (synonyms.find(entry => entry.word === word) || {}).name || word;
+
+    let match;
+
+    // 1. Explicit tokens: "@office", "@hardware-store"
+    if ((match = text.match(/(?:^|\s)@([\p{L}\p{N}][\p{L}\p{N}_-]*)/u))) {
+        taskContext = match[1].toLowerCase();
+        cleaned = cleaned.replace(match[0], ' ');
+    }
+
+    // 2. Conditions: "when I'm at the store", "next time we're in town", "while I'm out"
+    else if ((match = lowerText.match(new RegExp(
+        `\\b(?:when|while|next\\s+time)\\s+(?:(?:i'm|i\\s+am|we're|we\\s+are|i'll\\s+be|we'll\\s+be)\\s+)?` +
+        `(?:(?:at|in|near|by)\\s+(?:the\\s+)?(${PLACE}|[\\p{L}']+)|(out)(?:\\s+and\\s+about)?)(?![\\p{L}])`, 'u'
+    )))) {
+        taskContext = match[2] ? 'errands' : placeName(match[1]);
+        cleaned = cleaned.replace(new RegExp(escapeRegExp(match[0]), 'i'), '');
+    }
+
+    // 3. Known places: "at the bank", "from the pharmacy". After "to" the place is
+    // what the task is about, so "go to the bank" keeps "bank" ("Go bank" once cleaned)
+    else if ((match = lowerText.match(new RegExp(`\\b(at|in|from|to)\\s+(?:the\\s+)?(${PLACE})(?![\\p{L}])`, 'u')))) {
+        taskContext = placeName(match[2]);
+        if (match[1] !== 'to') cleaned = cleaned.replace(new RegExp(escapeRegExp(match[0]), 'i'), '');
+    }
+
+    // 4. Errands: "buy groceries" -> shops, "pick up my prescription" -> pharmacy.
+    // Only after a fetching verb: "take medicine every day" happens at home.
+    else {
+        const fetched = (word) => new RegExp(
+            `\\b(?:${ERRAND_VERBS.join('|')})\\s+(?:[\\p{L}']+\\s+){0,3}?${escapeRegExp(word)}(?![\\p{L}])`, 'iu'
+        ).test(lowerText);
+        const errand = Object.entries(CONTEXT_ERRANDS).find(([, words]) => words.some(fetched));
+        if (errand) taskContext = errand[0];
+    }
+
+    return { taskContext, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * STEP 3i: Inline Overrides
+ * Returns: { priority, category, date, dateConflict, tags, cleaned } - each null/empty when absent
+ * Typed tokens that beat the heuristics: "!high" / "!!", "+work", "#billing",
+ * "^fri", "^2026-11-05". Recognised tokens are removed; unknown categories and
+ * dates are left in the text so the user can see they weren't understood.
+ */
+const extractOverrides = (text, context) => {
+    let priority = null;
+    let category = null;
+    let date = null;
+    const tags = [];
+    let cleaned = text;
 
-    return { date, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+    const PRIORITY_TOKENS = {
+        '!!': 'High', '!!!': 'High', '!urgent': 'High', '!high': 'High', '!h': 'High',
+        '!medium': 'Medium', '!med': 'Medium', '!m': 'Medium',
+        '!low': 'Low', '!l': 'Low'
+    };
+    const DAY_ABBREVIATIONS = {
+        mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday', thu: 'thursday',
+        thur: 'thursday', thurs: 'thursday', fri: 'friday', sat: 'saturday', sun: 'sunday', tmw: 'tomorrow'
+    };
+    const token = (pattern) => new RegExp(`(?<=^|\\s)${pattern}(?=$|[\\s,.;:?])`, 'giu');
+
+    // Any one-word priority keyword works too: "!important", "!asap", "!someday"
+    const keywordLevel = (word) => {
+        const { URGENT = [], HIGH = [], LOW = [] } = context.dictionaries.priority;
+        if ([...URGENT, ...HIGH].includes(word)) return 'High';
+        return LOW.includes(word) ? 'Low' : null;
+    };
+
+    // 1. Priority: "!high", "!!". Unknown words stay whole ("!foo"), never half-read.
+    cleaned = cleaned.replace(token('!(?:!!?|[\\p{L}]+)'), match => {
+        const level = PRIORITY_TOKENS[match.toLowerCase()] || keywordLevel(match.slice(1).toLowerCase());
+        if (!level) return match;
+        priority = level;
+        return '';
+    });
+
+    // 2. Category: "+work" (any category, case-insensitive)
+    cleaned = cleaned.replace(token('\\+([\\p{L}\\p{N}][\\p{L}\\p{N}_-]*)'), (match, name) => {
+        const known = context.categories.find(c => c.toLowerCase() === name.toLowerCase());
+        if (!known) return match;
+        category = known;
+        return '';
+    });
+
+    // 3. Tags: "#billing"
+    cleaned = cleaned.replace(token('#([\\p{L}\\p{N}][\\p{L}\\p{N}_-]*)'), (match, tag) => {
+        if (!tags.includes(tag.toLowerCase())) tags.push(tag.toLowerCase());
+        return '';
+    });
+
+    // 4. Date: "^fri", "^tomorrow", "^2026-11-05", "^12/03". The first one counts;
+    // a second is dropped and reported in dateConflict so the task gets a review flag.
+    let dateConflict = null;
+    cleaned = cleaned.replace(token('\\^([^\\s,;:?]+?)\\.?'), (match, value) => {
+        const expanded = DAY_ABBREVIATIONS[value.toLowerCase()] || value;
+        const resolved = extractDate(expanded, context).date;
+        if (!resolved) return match;
+        if (date) dateConflict = dateConflict || match.trim();
+        else date = resolved;
+        return '';
+    });
+
+    return { priority, category, date, dateConflict, tags, cleaned: cleaned.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * The checklist in `text`, or null when there is none: { label, items }.
+ * A list with a single item, or tasks after a colon ("Reminder: call mom and
+ * buy milk"), isn't a checklist. segment() asks too, so it only keeps the
+ * chunks whole that really become one task with items.
+ */
+const findChecklist = (text, context) => {
+    const match = text.match(CHECKLIST_REGEX);
+    if (!match) return null;
+
+    const joiners = ['and', 'then', ...context.localePack.delimiters].map(escapeRegExp).join('|');
+    const itemBoundary = new RegExp(`\\s*,\\s*(?:(?:${joiners})\\s+)*|\\s+(?:(?:${joiners})\\s+)+`, 'giu');
+    const items = splitClauses(match[2], itemBoundary, () => true, context)
+        .map(item => item.replace(/^(?:and|or|then)\s+/i, '').replace(/[.,;:!?]+$/, '').trim())
+        .filter(Boolean);
+
+    if (items.length < 2) return null;
+
+    // "Reminder: call mom and buy milk" - a label before tasks, not a list of items
+    const firstWord = items[0].split(/\s+/)[0].toLowerCase();
+    if (/^:/.test(text.slice(match[1].length)) && TASK_VERBS.includes(firstWord)) return null;
+
+    return { label: match[1], items };
+};
+
+/**
+ * STEP 3j: Extract Checklist
+ * Returns: { subtasks: [{ text, completed }], cleaned: string }
+ * "Pack for trip: passport, charger and tickets" -> parent "Pack for trip" with
+ * three items. Anything findChecklist() turns down is just part of the description.
+ */
+const extractChecklist = (text, context) => {
+    const checklist = findChecklist(text, context);
+    if (!checklist) return { subtasks: [], cleaned: text };
+
+    const subtasks = checklist.items.map(item => ({ text: item.charAt(0).toUpperCase() + item.slice(1), completed: false }));
+    return { subtasks, cleaned: checklist.label };
 };
 
 /**
  * STEP 4: Clean the remaining text
  * Remove extra words like "by", "on", etc. and capitalize
  */
-const finalClean = (text) => {
+const finalClean = (text, context) => {
     let cleaned = text;
 
-    // Remove common prepositions/conjunctions that might be left over
-    cleaned = cleaned.replace(/\b(by|on|at|in|for|the|a|an|to|of|and|or)\b/gi, '');
+    // Remove locale articles/prepositions, longest first ("karna hai" before "hai")
+    [...context.localePack.stopwords]
+        .sort((a, b) => b.length - a.length)
+        .forEach(word => {
+            cleaned = cleaned.replace(wordRegex(word, 'gi'), '');
+        });
+
+    // Remove common prepositions that might be left over ("and"/"or" stay: "salt and pepper")
+    cleaned = cleaned.replace(/\b(by|on|at|in|for|the|a|an|to|of)\b/gi, '');
+
+    // Drop a dangling conjunction left at either end
+    cleaned = cleaned.replace(/^\s*(?:and|or)\b|\b(?:and|or)\s*$/gi, '');
 
     // Remove time-of-day references and timing words
     cleaned = cleaned.replace(/\b(morning|afternoon|evening|night|today|tonight|tomorrow|this|next|this\s+week|next\s+week|weekend)\b/gi, '');
 
+    // An override sigil whose word another step read ("!tomorrow" -> "!") goes with it
+    cleaned = cleaned.replace(/(?<=^|\s)[!+^#]+(?=\s|$)/g, '');
+
     // Remove duration references that weren't caught
     cleaned = cleaned.replace(/\b(before\s+it'?s|sometime|eventually)\b/gi, '');
 
@@ -366,50 +1376,333 @@ const finalClean = (text) => {
     return cleaned;
 };
 
+// Words that make the date right after them a deadline: "by Friday", "due on the 3rd"
+const DEADLINE_WORDS = 'by|before|until|till|due(?:\\s+(?:on|by))?|deadline(?:\\s+is)?|no\\s+later\\s+than';
+const DEADLINE_MARKER_REGEX = new RegExp(`\\b(?:${DEADLINE_WORDS})\\b`, 'gi');
+const DEADLINE_ONLY_REGEX = new RegExp(`^(?:${DEADLINE_WORDS})?$`, 'i');
+const DEADLINE_LEAD_REGEX = new RegExp(`^(?:${DEADLINE_WORDS})\\b\\s*`, 'i');
+
+/**
+ * Read the deadline from `tail`, which starts with a deadline word.
+ * Returns the extractDate result, or null when the date isn't right after
+ * the word ("stop by the bank tomorrow")
+ */
+const extractDeadline = (tail, context) => {
+    const found = extractDate(tail, context);
+    if (!found.date) return null;
+
+    // What's left before the removed date phrase may only be the deadline word
+    const before = tail.replace(/\s+/g, ' ').trim();
+    let start = 0;
+    while (start < found.cleaned.length && before[start] === found.cleaned[start]) start++;
+    if (!DEADLINE_ONLY_REGEX.test(before.slice(0, start).trim())) return null;
+
+    return { ...found, cleaned: found.cleaned.replace(DEADLINE_LEAD_REGEX, '') };
+};
+
+/**
+ * Built-in extractors, in the order they run. Each reads one kind of detail:
+ *   name:    unique id, so a list can reorder or leave out built-ins
+ *   fields:  task fields it sets; anything else it returns is ignored
+ *   extract: (text, context, segment) => { values, confidence, cleaned }
+ *            text is what earlier extractors left; whatever is missing from
+ *            cleaned (default: text as given) is consumed. confidence maps a
+ *            field to { score, reason } and is optional.
+ * The first extractor to set a field wins, so typed overrides come first;
+ * later extractors still consume their own spans.
+ */
+export const DEFAULT_EXTRACTORS = [
+    {
+        name: 'overrides',
+        fields: ['urgency', 'category', 'scheduledDate', 'tags'],
+        extract: (text, context) => {
+            const { priority, category, date, dateConflict, tags, cleaned } = extractOverrides(text, context);
+            return {
+                values: { urgency: priority, category, scheduledDate: date, tags },
+                confidence: {
+                    urgency: priority && rate(1, 'Set with !'),
+                    category: category && rate(1, 'Set with +'),
+                    scheduledDate: date && (dateConflict
+                        ? rate(0.4, `More than one ^ date; ${dateConflict} was ignored`)
+                        : rate(1, 'Set with ^'))
+                },
+                cleaned
+            };
+        }
+    },
+    {
+        name: 'recurrence',
+        fields: ['recurrence'],
+        extract: (text) => {
+            const { recurrence, cleaned } = extractRecurrence(text);
+            return { values: { recurrence }, cleaned };
+        }
+    },
+    {
+        // Reads the words as said and leaves them in place ("Call John" keeps John);
+        // after recurrence, so "every Monday and Friday" is gone by then
+        name: 'people',
+        fields: ['people'],
+        extract: (text, context) => ({ values: extractPeople(text, context) })
+    },
+    {
+        name: 'estimate',
+        fields: ['estimate'],
+        extract: (text) => {
+            const { estimate, cleaned } = extractEstimate(text);
+            return { values: { estimate }, cleaned };
+        }
+    },
+    {
+        // timeDate: the day when the time itself pins it ("in 2 hours")
+        name: 'time',
+        fields: ['dueTime', 'timeDate'],
+        extract: (text, context) => {
+            const { time, date, cleaned } = extractTime(text, context);
+            return { values: { dueTime: time, timeDate: date }, cleaned };
+        }
+    },
+    {
+        name: 'priority',
+        fields: ['urgency'],
+        extract: (text, context, segment) => {
+            let { priority, confidence, cleaned } = extractPriority(text, context);
+
+            // Boost urgency if timing keywords present anywhere in the segment
+            if (priority === 'Medium' && /\b(tonight|end of day|eod|today|urgent|asap)\b/i.test(segment)) {
+                priority = 'High';
+                confidence = rate(0.8, 'Due soon');
+            }
+            return { values: { urgency: priority }, confidence: { urgency: confidence }, cleaned };
+        }
+    },
+    {
+        name: 'category',
+        fields: ['category'],
+        extract: (text, context) => {
+            const { category, confidence, cleaned } = extractCategory(text, context);
+            return { values: { category }, confidence: { category: confidence }, cleaned };
+        }
+    },
+    {
+        // "by Friday" is a deadline, any other date the scheduled day; both
+        // can be given ("on Monday, due Friday")
+        name: 'date',
+        fields: ['scheduledDate', 'deadline'],
+        extract: (text, context) => {
+            for (const marker of text.matchAll(DEADLINE_MARKER_REGEX)) {
+                const due = extractDeadline(text.slice(marker.index), context);
+                if (!due) continue;
+                const on = extractDate(text.slice(0, marker.index), context);
+                return {
+                    values: { scheduledDate: on.date, deadline: due.date },
+                    confidence: { scheduledDate: on.date && on.confidence, deadline: due.confidence },
+                    cleaned: `${on.cleaned} ${due.cleaned}`.trim()
+                };
+            }
+
+            const { date, confidence, cleaned } = extractDate(text, context);
+            return { values: { scheduledDate: date }, confidence: { scheduledDate: confidence }, cleaned };
+        }
+    },
+    {
+        name: 'context',
+        fields: ['context'],
+        extract: (text) => {
+            const { taskContext, cleaned } = extractContext(text);
+            return { values: { context: taskContext }, cleaned };
+        }
+    },
+    {
+        name: 'checklist',
+        fields: ['subtasks'],
+        extract: (text, context) => {
+            const { subtasks, cleaned } = extractChecklist(text, context);
+            return { values: { subtasks }, cleaned };
+        }
+    }
+];
+
+// Fields the pipeline fills itself; anything else an extractor sets is copied onto the task
+const PIPELINE_FIELDS = ['description', 'dueDate', 'scheduledDate', 'deadline', 'dueTime', 'timeDate', 'recurrence', 'estimate', 'people', 'context', 'tags', 'subtasks', 'category', 'urgency', 'confidence', 'needsReview', 'completed', 'id'];
+
+const isSet = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * An extractor for a pattern, e.g. ticket numbers:
+ *   createPatternExtractor({ name: 'ticket', field: 'ticket', pattern: /\b[A-Z]+-\d+\b/ })
+ *   value:   match => field value (default: the matched text)
+ *   all:     collect every match into a list instead of taking the first
+ *   consume: remove the matched text from the description (default true)
+ */
+export const createPatternExtractor = ({ name, field, pattern, value = match => match[0], all = false, consume = true }) => ({
+    name,
+    fields: [field],
+    extract: (text) => {
+        const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+        const matches = [...text.matchAll(new RegExp(pattern.source, flags))];
+        if (matches.length === 0) return { values: {} };
+
+        const consumed = all ? matches : matches.slice(0, 1);
+        const cleaned = consume
+            ? consumed.reduce((rest, match) => rest.replace(match[0], ''), text).replace(/\s+/g, ' ').trim()
+            : text;
+        return { values: { [field]: all ? matches.map(value) : value(matches[0]) }, cleaned };
+    }
+});
+
+/**
+ * Check an extractor list up front, so a bad plugin fails when the parser
+ * is created rather than on the first task
+ */
+const validateExtractors = (extractors) => {
+    if (!Array.isArray(extractors)) throw new Error('"extractors" must be a list.');
+    const names = new Set();
+    extractors.forEach((extractor, index) => {
+        const label = extractor && extractor.name ? `"${extractor.name}"` : `#${index + 1}`;
+        if (!extractor || typeof extractor.name !== 'string' || !extractor.name) throw new Error(`Extractor ${label} needs a name.`);
+        if (names.has(extractor.name)) throw new Error(`Extractor ${label} is listed twice.`);
+        if (!Array.isArray(extractor.fields)) throw new Error(`Extractor ${label} must list the fields it sets.`);
+        if (typeof extractor.extract !== 'function') throw new Error(`Extractor ${label} needs an extract function.`);
+        names.add(extractor.name);
+    });
+};
+
+/**
+ * Run the extractors over one segment, in order
+ * Returns: { values, confidence, text, spoken } - spoken is the text after typed overrides
+ */
+const runExtractors = (segment, context, extractors) => {
+    const values = {};
+    const confidence = {};
+    const owners = new Set();
+    let text = segment;
+    let spoken = segment;
+
+    extractors.forEach(extractor => {
+        const result = extractor.extract(text, context, segment) || {};
+        const found = result.values || {};
+        const rated = result.confidence || {};
+
+        extractor.fields.forEach(field => {
+            if (owners.has(field)) return;
+            if (isSet(found[field])) {
+                values[field] = found[field];
+                owners.add(field);
+                if (rated[field]) confidence[field] = rated[field];
+                else delete confidence[field];
+            } else if (rated[field] && !confidence[field]) {
+                // How sure we are that the field is empty, until something sets it
+                confidence[field] = rated[field];
+            }
+        });
+
+        if (typeof result.cleaned === 'string') text = result.cleaned;
+        if (extractor.name === 'overrides') spoken = text;
+    });
+
+    return { values, confidence, text, spoken };
+};
+
 /**
  * Process a single task segment through the extraction pipeline
  */
-const processSegment = (segment) => {
-    const lowerSegment = segment.toLowerCase();
+const processSegment = (segment, index, context, extractors) => {
+    const { values, confidence: rated, text, spoken } = runExtractors(segment, context, extractors);
+    const deadline = values.deadline || null;
+    let date = values.scheduledDate || null;
+    let dateConfidence = rated.scheduledDate || rated.deadline || rate(1, 'No date mentioned');
+
+    // A repeating task with no explicit day starts at its first occurrence
+    if (!date && !deadline && values.recurrence) {
+        date = getFirstOccurrence(values.recurrence, getNow(context));
+        dateConfidence = rate(0.9, 'First repeat');
+    }
 
-    // Extract metadata in order
-    let { priority, cleaned: afterPriority } = extractPriority(segment);
-    const { category, cleaned: afterCategory } = extractCategory(afterPriority);
-    const { date, cleaned: afterDate } = extractDate(afterCategory);
+    // A time with no day falls on the next time the clock reaches it;
+    // next to a deadline it belongs to the deadline ("by Friday at 5pm")
+    if (!date && !deadline && values.timeDate) {
+        date = values.timeDate;
+        dateConfidence = rate(0.9, 'From the time');
+    } else if (!date && !deadline && values.dueTime) {
+        const now = getNow(context);
+        const [hours, minutes] = values.dueTime.split(':').map(Number);
+        date = new Date(now);
+        date.setHours(hours, minutes, 0, 0);
+        if (date < now) date.setDate(date.getDate() + 1);
+        dateConfidence = rate(0.7, 'Next time the clock reaches it');
+    }
 
     // Final cleaning for description
-    const description = finalClean(afterDate);
+    const description = finalClean(text, context);
 
     // Fallback to original if description is too short
-    const finalDescription = description.length < 3 ? segment : description;
+    const finalDescription = description.length < 3 ? (spoken || segment) : description;
+    const descriptionConfidence = description.length < 3
+        ? rate(0.3, 'Little left after reading the details, so the words are kept as said')
+        : rate(0.9, 'Words left after reading the details');
 
-    // Boost urgency if timing keywords present
-    if (priority === 'Medium') {
-        if (/\b(tonight|end of day|eod|today|urgent|asap)\b/i.test(lowerSegment)) {
-            priority = 'High';
-        }
-    }
+    const category = values.category || context.defaultCategory;
+    const confidence = {
+        description: descriptionConfidence,
+        dueDate: dateConfidence,
+        category: rated.category || rate(0.6, `No category words, so ${category}`),
+        urgency: rated.urgency || rate(0.6, 'No priority words, so Medium')
+    };
+    Object.keys(rated).forEach(field => {
+        if (!(field in confidence) && !PIPELINE_FIELDS.includes(field)) confidence[field] = rated[field];
+    });
 
-    return {
+    // Fields from plugin extractors ride along on the task
+    const extra = Object.fromEntries(Object.entries(values).filter(([field]) => !PIPELINE_FIELDS.includes(field)));
+
+    const task = {
+        ...extra,
         description: finalDescription,
-        dueDate: date ? formatDate(date) : 'Not specified',
-        category: category,
-        urgency: priority,
-        completed: false,
-        id: Date.now() + Math.random().toString(36).substr(2, 9)
+        ...withDates(toISODate(date), toISODate(deadline)),
+        dueTime: values.dueTime || null,
+        recurrence: values.recurrence || null,
+        estimate: values.estimate || null,
+        people: values.people || [],
+        context: values.context || null,
+        tags: values.tags || [],
+        subtasks: values.subtasks || [],
+        category,
+        urgency: values.urgency || 'Medium',
+        confidence,
+        needsReview: needsReview(confidence),
+        completed: false
     };
+    task.id = context.idFactory(task, index);
+
+    return task;
 };
 
 /**
- * Main entry point: Parse tasks from input text
+ * Build a parser with its own extractor list; the built-ins can be reordered,
+ * left out or joined by domain ones:
+ *   createParser({ extractors: [ticketExtractor, ...DEFAULT_EXTRACTORS] })
+ * Other options become defaults for every call (see createContext).
+ * Returns: (input, options) => tasks, like parseTasks
  */
-export const parseTasks = (input) => {
-    // Pipeline: Normalize → Segment → Extract → Clean
-    const normalized = normalize(input);
-    const segments = segment(normalized);
-    const tasks = segments.map(seg => processSegment(seg));
+export const createParser = ({ extractors = DEFAULT_EXTRACTORS, ...defaults } = {}) => {
+    validateExtractors(extractors);
 
-    return tasks;
+    return (input, options = {}) => {
+        const context = createContext({ ...defaults, ...options });
+
+        // Pipeline: Normalize → Segment → Extract → Clean
+        const normalized = normalize(input, context);
+        const segments = segment(normalized, context);
+        return segments.map((seg, index) => processSegment(seg, index, context, extractors));
+    };
 };
 
+/**
+ * Main entry point: Parse tasks from input text with the built-in extractors
+ * Options: { now, locale, timeZone, dateOrder, idFactory, ... } - see createContext.
+ * Given the same options, output is fully deterministic.
+ */
+export const parseTasks = createParser();
+
 export default parseTasks;